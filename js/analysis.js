@@ -1,38 +1,71 @@
 // Roll Analysis Logic - js/analysis.js
 
+// Dimensionless smoothness measures (see calculateSmoothnessMeasures)
+const LDLJ_BEST = -3;                   // LDLJ that scores 100
+const LDLJ_WORST = -9;                  // LDLJ that scores 0
+const SPARC_BEST = -1.5;
+const SPARC_WORST = -4;
+const SPARC_MAX_FREQUENCY = 10;         // Hz
+const SPARC_AMPLITUDE_THRESHOLD = 0.05;
+const VELOCITY_PEAK_THRESHOLD = 0.1;    // share of peak speed that counts as a peak
+const VELOCITY_PEAK_SPACING = 100;      // ms between separate peaks
+const SMOOTHNESS_SPEED_FILTER = [{ type: 'lowpass', cutoff: 6, order: 2 }];
+const SMOOTHNESS_DRIFT_FILTER = [{ type: 'highpass', cutoff: 0.3, order: 2 }];
+
 /**
- * Start recording roll data
+ * Start recording roll data. Synchronized starts skip the countdown so
+ * every device begins at the agreed instant.
  */
-function startRecording() {
-    if (AppState.isRecording) return;
+function startRecording(synced = false) {
+    if (AppState.isRecording || AppState.countingDown) return;
+    if (AppState.armed.active) {
+        showNotification('Disarm automatic detection before recording manually', 'warning');
+        return;
+    }
 
-    // Request permissions first
-    requestMotionPermission().then(granted => {
+    // Request permissions first, then count the student in
+    return requestMotionPermission().then(granted => {
         if (!granted) return;
 
-        AppState.isRecording = true;
-        AppState.accelerationData = [];
-        AppState.startTime = Date.now();
+        AppState.countingDown = true;
+        return playCountdown(synced ? 0 : AppState.feedbackSettings.countdown).then(() => {
+            AppState.countingDown = false;
+            beginRecording();
+        });
+    });
+}
 
-        // Update UI
-        updateRecordingUI(true);
+/**
+ * Start capturing once the countdown has finished
+ */
+function beginRecording() {
+    if (AppState.isRecording || AppState.armed.active) return;
 
-        // Start listening to accelerometer
-        window.addEventListener('devicemotion', handleMotionRecording);
+    AppState.isRecording = true;
+    AppState.accelerationData = [];
+    AppState.startTime = getTimestamp();
+    AppState.rollCueGiven = false;
 
-        // Auto-stop after 10 seconds
-        setTimeout(() => {
-            if (AppState.isRecording) {
-                stopRecording();
-            }
-        }, 10000);
+    // Update UI
+    updateRecordingUI(true);
 
-        // Start animation
-        animate();
+    // Start listening to accelerometer, gyroscope and orientation
+    window.addEventListener('devicemotion', handleMotionRecording);
+    window.addEventListener('deviceorientation', handleOrientationRecording);
+    startSonification();
 
-        addLog('Recording', 'Roll analysis recording started');
-        showNotification('Recording started - perform your roll!', 'success');
-    });
+    // Auto-stop after 10 seconds
+    setTimeout(() => {
+        if (AppState.isRecording) {
+            stopRecording();
+        }
+    }, 10000);
+
+    // Start animation
+    animate();
+
+    addLog('Recording', 'Roll analysis recording started');
+    showNotification('Recording started - perform your roll!', 'success');
 }
 
 /**
@@ -48,6 +81,8 @@ function stopRecording() {
 
     // Stop listening
     window.removeEventListener('devicemotion', handleMotionRecording);
+    window.removeEventListener('deviceorientation', handleOrientationRecording);
+    stopSonification();
 
     // Cancel animation
     if (AppState.animationId) {
@@ -55,6 +90,12 @@ function stopRecording() {
         AppState.animationId = null;
     }
 
+    // Put the uneven devicemotion stream on a uniform grid
+    AppState.accelerationData = prepareRecording(AppState.accelerationData);
+
+    // Hand data to the room host before analysis can reset it
+    onSyncedRecordingStopped();
+
     // Analyze collected data
     analyzeRoll();
 
@@ -84,20 +125,62 @@ function updateRecordingUI(isRecording) {
 function handleMotionRecording(event) {
     if (!AppState.isRecording || !event.accelerationIncludingGravity) return;
 
-    const acc = event.accelerationIncludingGravity;
-    const timestamp = Date.now() - AppState.startTime;
+    // Use the sensor event's own time so traces from several devices line up
+    const timestamp = getEventTimestamp(event) - AppState.startTime;
+
+    const sample = buildMotionSample(event, timestamp);
+    AppState.accelerationData.push(sample);
+    updateSonification(sample);
+
+    // One cue when the roll itself gets going
+    if (!AppState.rollCueGiven && calculateActivity(sample) > ARMED_START_THRESHOLD) {
+        AppState.rollCueGiven = true;
+        playRollDetected();
+    }
+}
+
+/**
+ * Keep the latest orientation so it can be stored with each motion sample
+ */
+function handleOrientationRecording(event) {
+    AppState.latestOrientation = {
+        alpha: event.alpha || 0,
+        beta: event.beta || 0,
+        gamma: event.gamma || 0
+    };
+}
+
+/**
+ * Build a recorded sample from a devicemotion event
+ */
+function buildMotionSample(event, time) {
+    const acc = calibrateAcceleration(event.accelerationIncludingGravity);
+    const rotation = calibrateRotation(getRotationRate(event)) || { x: 0, y: 0, z: 0 };
+    const orientation = AppState.latestOrientation;
 
-    // Convert to G and store
+    // Convert to G
     const magnitude = Math.sqrt(acc.x * acc.x + acc.y * acc.y + acc.z * acc.z) / 9.81;
 
-    AppState.accelerationData.push({
-        time: timestamp,
+    // Angular velocity in deg/s
+    const gx = rotation.x;
+    const gy = rotation.y;
+    const gz = rotation.z;
+
+    return {
+        time: time,
         x: acc.x / 9.81,
         y: acc.y / 9.81,
         z: acc.z / 9.81,
         magnitude: magnitude,
-        rawMagnitude: Math.sqrt(acc.x * acc.x + acc.y * acc.y + acc.z * acc.z)
-    });
+        rawMagnitude: Math.sqrt(acc.x * acc.x + acc.y * acc.y + acc.z * acc.z),
+        gx: gx,
+        gy: gy,
+        gz: gz,
+        gyroMagnitude: Math.sqrt(gx * gx + gy * gy + gz * gz),
+        alpha: orientation.alpha,
+        beta: orientation.beta,
+        gamma: orientation.gamma
+    };
 }
 
 /**
@@ -113,30 +196,95 @@ function analyzeRoll() {
 
     // Calculate core metrics
     const metrics = calculateRollMetrics();
+    // Filter adjustments are reported for the live roll only, not every re-analysis
+    metrics.filtered.notes.forEach(note => addLog('Filter', note));
+
+    // Detect the roll type from the segmented roll and switch to its scoring profile when confident
+    const classification = classifyRoll(AppState.accelerationData, metrics.phases);
+    applyClassification(classification);
 
-    // Calculate overall score
-    const score = calculateOverallScore(metrics);
+    // Calculate overall score with the selected roll type
+    const profile = getActiveProfile();
+    const score = calculateOverallScore(metrics, profile);
 
     // Update UI with results
     updateMetricsDisplay(metrics);
     updateScoreDisplay(score);
 
     // Save session
+    const measures = metrics.smoothnessMeasures;
+    const sessionMetrics = {
+        peakForce: metrics.peakForce.toFixed(2),
+        smoothness: Math.round(metrics.smoothness),
+        rollTime: metrics.rollTime.toFixed(2),
+        jerkIndex: metrics.avgJerk.toFixed(1),
+        totalRotation: metrics.rotation ? Math.round(metrics.rotation.totalRotation) : null,
+        peakAngularVelocity: metrics.rotation ? Math.round(metrics.rotation.peakAngularVelocity) : null,
+        rotationSmoothness: metrics.rotation ? Math.round(metrics.rotation.smoothness) : null,
+        rotationAxis: metrics.rotation ? metrics.rotation.axis : null,
+        peakLinearAcceleration: metrics.fusion ? metrics.fusion.peakLinearAcceleration.toFixed(2) : null,
+        spectralSmoothness: metrics.spectral ? Math.round(metrics.spectral.spectralSmoothness) : null,
+        dominantFrequency: metrics.spectral ? metrics.spectral.dominantFrequency.toFixed(1) : null,
+        ldlj: measures && measures.ldlj !== null ? measures.ldlj.toFixed(2) : null,
+        sparc: measures && measures.sparc !== null ? measures.sparc.toFixed(2) : null,
+        velocityPeaks: measures ? measures.velocityPeaks : null,
+        contactScore: scoreRollContact(metrics.phases, profile)
+    };
+    const personalScore = calculatePersonalScore(sessionMetrics);
+    updatePersonalScoreDisplay(personalScore);
+
+    // Name what went wrong, with a cue for each
+    const faults = detectFaults(metrics, classification, profile.id);
+    renderFaultList(faults);
+
+    // Compare with the coach's reference roll, if one is set
+    const templateMatch = matchReferenceTemplate(AppState.accelerationData);
+    sessionMetrics.templateSimilarity = templateMatch ? templateMatch.similarity : null;
+
     saveSession({
+        id: generateId(),
         timestamp: new Date().toISOString(),
+        source: AppState.armed.active ? 'armed' : 'manual',
+        athleteId: AppState.activeAthleteId || null,
         score: score,
-        metrics: {
-            peakForce: metrics.peakForce.toFixed(2),
-            smoothness: Math.round(metrics.smoothness),
-            rollTime: metrics.rollTime.toFixed(2),
-            jerkIndex: metrics.avgJerk.toFixed(1)
-        },
+        personalScore: personalScore,
+        approved: false,
+        profileId: profile.id,
+        profileName: profile.name,
+        classification: classification ? {
+            type: classification.type,
+            confidence: classification.confidence,
+            features: classification.features,
+            source: classification.source
+        } : null,
+        faults: faults.map(summarizeFault),
+        phases: metrics.phases ? metrics.phases.list.map(phase => ({
+            name: phase.name,
+            duration: phase.duration.toFixed(2),
+            peakForce: phase.peakForce.toFixed(2),
+            avgJerk: phase.avgJerk.toFixed(1)
+        })) : null,
+        sampling: AppState.samplingReport ? {
+            deviceRate: Math.round(AppState.samplingReport.meanRate),
+            jitter: AppState.samplingReport.jitter.toFixed(1),
+            gaps: AppState.samplingReport.gaps.length,
+            droppedSamples: AppState.samplingReport.droppedSamples,
+            resampleRate: AppState.samplingReport.resampleRate
+        } : null,
+        metrics: sessionMetrics,
         rawData: AppState.accelerationData
     });
 
-    // Draw final graph
+    // Draw final graph with the phases shaded
+    AppState.rollPhases = metrics.phases;
+    renderPhaseBreakdown(metrics.phases, profile);
     drawGraph();
 
+    // Prepare the orientation replay
+    loadReplay(AppState.accelerationData, metrics);
+    renderTemplateComparison(templateMatch);
+    renderClassification(classification);
+
     // Update status
     const status = document.getElementById('status');
     if (status) {
@@ -144,29 +292,32 @@ function analyzeRoll() {
         status.className = 'status-badge status-ready';
     }
 
-    addLog('Analysis', `Complete - Score: ${score}, Peak: ${metrics.peakForce.toFixed(2)}G, Time: ${metrics.rollTime.toFixed(2)}s`);
+    addLog('Analysis', `Complete - ${profile.name} score: ${score}, Peak: ${metrics.peakForce.toFixed(2)}G, Time: ${metrics.rollTime.toFixed(2)}s`);
     showNotification(`Analysis complete! Score: ${score}`, 'success');
+    playScoreFeedback(score);
+    speakRollResult({ score, profile, metrics, faults });
 }
 
 /**
- * Calculate roll performance metrics
+ * Calculate roll performance metrics (defaults to the current recording)
  */
-function calculateRollMetrics() {
-    const data = AppState.accelerationData;
+function calculateRollMetrics(data = AppState.accelerationData) {
 
     // Basic metrics
     const peakForce = Math.max(...data.map(d => d.magnitude));
     const avgForce = data.reduce((sum, d) => sum + d.magnitude, 0) / data.length;
     const rollTime = (data[data.length - 1].time - data[0].time) / 1000;
 
-    // Calculate jerk (rate of change of acceleration)
+    // Calculate jerk (rate of change of acceleration) on the filtered signal,
+    // so sensor noise isn't amplified by the differentiation
+    const filtered = filterRollSignal(data);
     let totalJerk = 0;
     let jerkCount = 0;
 
     for (let i = 1; i < data.length; i++) {
         const dt = (data[i].time - data[i-1].time) / 1000;
         if (dt > 0) {
-            const jerk = Math.abs(data[i].magnitude - data[i-1].magnitude) / dt;
+            const jerk = Math.abs(filtered.magnitude[i] - filtered.magnitude[i-1]) / dt;
             totalJerk += jerk;
             jerkCount++;
         }
@@ -178,10 +329,24 @@ function calculateRollMetrics() {
     const maxAcceptableJerk = 50; // m/s³
     const smoothness = Math.max(0, Math.min(100, 100 * (1 - avgJerk / maxAcceptableJerk)));
 
+    // Frequency content of the raw signal - the filter above would hide the wobble
+    const spectral = calculateSpectralMetrics(data.map(d => d.magnitude), filtered.sampleRate);
+
     // Advanced metrics
     const motionVariability = calculateMotionVariability(data);
     const peakDetection = analyzePeaks(data);
     const stabilityIndex = calculateStabilityIndex(data);
+    const rotation = calculateRotationMetrics(data);
+
+    // Fused orientation and gravity-free acceleration need the gyroscope
+    const orientationTrack = rotation ? computeOrientationTrack(data) : null;
+    const fusion = summarizeOrientationTrack(orientationTrack);
+
+    // Dimensionless smoothness measures (comparable across devices and roll lengths)
+    const smoothnessMeasures = calculateSmoothnessMeasures(data, filtered, orientationTrack);
+
+    // Entry / rotation / contact / recovery
+    const phases = segmentRollPhases(data, filtered);
 
     return {
         peakForce,
@@ -191,10 +356,209 @@ function calculateRollMetrics() {
         smoothness,
         motionVariability,
         peakDetection,
-        stabilityIndex
+        stabilityIndex,
+        rotation,
+        orientationTrack,
+        fusion,
+        filtered,
+        spectral,
+        smoothnessMeasures,
+        phases
+    };
+}
+
+/**
+ * Calculate rotation metrics from the gyroscope (null without gyro data)
+ */
+function calculateRotationMetrics(data) {
+    if (!data.some(d => d.gyroMagnitude > 0)) return null;
+
+    // Integrate angular velocity: total and per axis (degrees)
+    let totalRotation = 0;
+    const axisRotation = { x: 0, y: 0, z: 0 };
+    let totalAngularJerk = 0;
+    let jerkCount = 0;
+
+    for (let i = 1; i < data.length; i++) {
+        const dt = (data[i].time - data[i-1].time) / 1000;
+        if (dt <= 0) continue;
+
+        totalRotation += data[i].gyroMagnitude * dt;
+        axisRotation.x += Math.abs(data[i].gx) * dt;
+        axisRotation.y += Math.abs(data[i].gy) * dt;
+        axisRotation.z += Math.abs(data[i].gz) * dt;
+
+        totalAngularJerk += Math.abs(data[i].gyroMagnitude - data[i-1].gyroMagnitude) / dt;
+        jerkCount++;
+    }
+
+    const peakAngularVelocity = Math.max(...data.map(d => d.gyroMagnitude));
+
+    // Smoothness from the average change in spin rate (inverse, normalized)
+    const avgAngularJerk = jerkCount > 0 ? totalAngularJerk / jerkCount : 0;
+    const maxAcceptableAngularJerk = 3000; // deg/s²
+    const smoothness = Math.max(0, Math.min(100, 100 * (1 - avgAngularJerk / maxAcceptableAngularJerk)));
+
+    // Dominant axis of rotation
+    const axisTotal = axisRotation.x + axisRotation.y + axisRotation.z;
+    const axis = Object.keys(axisRotation).reduce((best, key) =>
+        axisRotation[key] > axisRotation[best] ? key : best, 'x');
+
+    return {
+        totalRotation,
+        peakAngularVelocity,
+        avgAngularJerk,
+        smoothness,
+        axis,
+        axisShare: axisTotal > 0 ? (axisRotation[axis] / axisTotal) * 100 : 0,
+        axisRotation
     };
 }
 
+/**
+ * LDLJ, SPARC and velocity-peak count for a roll.
+ * The speed profile is the gyroscope's angular speed when available,
+ * otherwise speed integrated from gravity-free acceleration.
+ */
+function calculateSmoothnessMeasures(data, filtered, orientationTrack) {
+    const sampleRate = filtered.sampleRate;
+    if (data.length < 10 || !(sampleRate > 0)) return null;
+
+    const hasGyro = data.some(d => d.gyroMagnitude > 0);
+    const speed = hasGyro ?
+        applyFilterChain(data.map(d => d.gyroMagnitude), SMOOTHNESS_SPEED_FILTER, sampleRate, filtered.notes) :
+        integrateSpeed(data, orientationTrack, sampleRate, filtered.notes);
+
+    const ldlj = calculateLDLJ(filtered.magnitude, sampleRate);
+    const sparc = calculateSPARC(speed, sampleRate);
+    const velocityPeaks = countVelocityPeaks(speed, sampleRate);
+
+    return {
+        ldlj,
+        sparc,
+        velocityPeaks,
+        speedSource: hasGyro ? 'angular' : 'linear',
+        ldljScore: mapSmoothnessScore(ldlj, LDLJ_BEST, LDLJ_WORST),
+        sparcScore: mapSmoothnessScore(sparc, SPARC_BEST, SPARC_WORST),
+        velocityPeakScore: velocityPeaks > 0 ? clamp(100 - (velocityPeaks - 1) * 15, 0, 100) : null
+    };
+}
+
+/**
+ * Log dimensionless jerk from acceleration (LDLJ-A):
+ * -ln( T / a_peak² * ∫ jerk² dt ). Closer to zero is smoother.
+ */
+function calculateLDLJ(acceleration, sampleRate) {
+    if (acceleration.length < 3) return null;
+
+    const mean = acceleration.reduce((sum, val) => sum + val, 0) / acceleration.length;
+    const centered = acceleration.map(val => val - mean);
+    const peak = Math.max(...centered.map(Math.abs));
+    if (peak === 0) return null;
+
+    const dt = 1 / sampleRate;
+    const duration = (acceleration.length - 1) * dt;
+    let jerkIntegral = 0;
+    for (let i = 1; i < centered.length; i++) {
+        const jerk = (centered[i] - centered[i - 1]) / dt;
+        jerkIntegral += jerk * jerk * dt;
+    }
+
+    return -Math.log((duration / (peak * peak)) * jerkIntegral);
+}
+
+/**
+ * Spectral arc length (SPARC) of a speed profile. Closer to zero is smoother.
+ */
+function calculateSPARC(speed, sampleRate) {
+    if (!speed || speed.length < 4) return null;
+
+    // Zero-pad generously for a fine frequency grid
+    const fftSize = nextPowerOfTwo(speed.length) * 4;
+    const re = new Array(fftSize).fill(0);
+    const im = new Array(fftSize).fill(0);
+    speed.forEach((value, i) => { re[i] = value; });
+    fft(re, im);
+
+    const magnitude = [];
+    const frequencies = [];
+    for (let k = 0; k <= fftSize / 2; k++) {
+        const frequency = k * sampleRate / fftSize;
+        if (frequency > SPARC_MAX_FREQUENCY) break;
+        frequencies.push(frequency);
+        magnitude.push(Math.sqrt(re[k] * re[k] + im[k] * im[k]));
+    }
+
+    const maxMagnitude = Math.max(...magnitude);
+    if (maxMagnitude === 0) return null;
+    const normalized = magnitude.map(value => value / maxMagnitude);
+
+    // Adaptive cutoff: last frequency still above the amplitude threshold
+    let last = 0;
+    normalized.forEach((value, k) => {
+        if (value >= SPARC_AMPLITUDE_THRESHOLD) last = k;
+    });
+    if (last === 0) return 0;
+
+    const span = frequencies[last] - frequencies[0];
+    let arcLength = 0;
+    for (let k = 1; k <= last; k++) {
+        const df = (frequencies[k] - frequencies[k - 1]) / span;
+        const dm = normalized[k] - normalized[k - 1];
+        arcLength -= Math.sqrt(df * df + dm * dm);
+    }
+
+    return arcLength;
+}
+
+/**
+ * Count distinct peaks in a speed profile (a smooth roll has one)
+ */
+function countVelocityPeaks(speed, sampleRate) {
+    if (!speed || speed.length < 3) return 0;
+
+    const threshold = Math.max(...speed) * VELOCITY_PEAK_THRESHOLD;
+    const minDistance = Math.max(1, Math.round(VELOCITY_PEAK_SPACING / 1000 * sampleRate));
+
+    let peaks = 0;
+    let lastPeak = -Infinity;
+    for (let i = 1; i < speed.length - 1; i++) {
+        const isPeak = speed[i] >= threshold && speed[i] > speed[i - 1] && speed[i] >= speed[i + 1];
+        if (isPeak && i - lastPeak >= minDistance) {
+            peaks++;
+            lastPeak = i;
+        }
+    }
+    return peaks;
+}
+
+/**
+ * Speed (m/s) from gravity-free acceleration, high-passed to limit drift
+ */
+function integrateSpeed(data, orientationTrack, sampleRate, notes = []) {
+    const linear = orientationTrack ?
+        orientationTrack.map(t => t.linearMagnitude) :
+        data.map(d => d.magnitude - 1);
+    const detrended = applyFilterChain(linear, SMOOTHNESS_DRIFT_FILTER, sampleRate, notes);
+
+    let velocity = 0;
+    const speed = [0];
+    for (let i = 1; i < detrended.length; i++) {
+        const dt = (data[i].time - data[i - 1].time) / 1000;
+        velocity += detrended[i] * 9.81 * dt;
+        speed.push(Math.abs(velocity));
+    }
+    return applyFilterChain(speed, SMOOTHNESS_SPEED_FILTER, sampleRate, notes);
+}
+
+/**
+ * Map a dimensionless measure onto 0-100 between a "worst" and "best" value
+ */
+function mapSmoothnessScore(value, best, worst) {
+    if (value === null || !isFinite(value)) return null;
+    return clamp(((value - worst) / (best - worst)) * 100, 0, 100);
+}
+
 /**
  * Calculate motion variability
  */
@@ -291,66 +655,107 @@ function calculateAxisStability(values) {
 }
 
 /**
- * Calculate overall performance score
+ * Calculate overall performance score using a scoring profile
  */
-function calculateOverallScore(metrics) {
-    // Individual component scores
-    const peakScore = calculatePeakScore(metrics.peakForce);
-    const smoothnessScore = metrics.smoothness;
-    const timeScore = calculateTimeScore(metrics.rollTime);
-    const stabilityScore = metrics.stabilityIndex.overall;
-    const rhythmScore = metrics.peakDetection.rhythmConsistency;
+function calculateOverallScore(metrics, profile = getActiveProfile()) {
+    const components = calculateScoreComponents(metrics, profile);
+
+    // Weighted average over the components that could be measured;
+    // without a gyroscope the rotation weights are spread over the rest
+    let weightedSum = 0;
+    let totalWeight = 0;
+    Object.keys(components).forEach(key => {
+        const weight = profile.weights[key] || 0;
+        if (components[key] === null || weight <= 0) return;
+        weightedSum += components[key] * weight;
+        totalWeight += weight;
+    });
+
+    if (totalWeight === 0) return 0;
+    return Math.round(Math.max(0, Math.min(100, weightedSum / totalWeight)));
+}
 
-    // Weighted average
-    const weightedScore = (
-        peakScore * 0.25 +           // 25% - optimal force application
-        smoothnessScore * 0.30 +      // 30% - movement smoothness
-        timeScore * 0.15 +            // 15% - timing
-        stabilityScore * 0.20 +       // 20% - stability
-        rhythmScore * 0.10            // 10% - rhythm consistency
-    );
+/**
+ * Score each component (0-100) against a profile's ideal ranges.
+ * Components that can't be measured (e.g. rotation without a gyroscope) are null.
+ */
+function calculateScoreComponents(metrics, profile = getActiveProfile()) {
+    const measures = metrics.smoothnessMeasures;
 
-    return Math.round(Math.max(0, Math.min(100, weightedScore)));
+    return {
+        peak: calculatePeakScore(metrics.peakForce, profile.ranges.peakForce),
+        smoothness: metrics.smoothness,
+        time: calculateTimeScore(metrics.rollTime, profile.ranges.rollTime),
+        stability: metrics.stabilityIndex.overall,
+        rhythm: metrics.peakDetection.rhythmConsistency,
+        rotation: metrics.rotation ?
+            calculateRotationScore(metrics.rotation.totalRotation, profile.ranges.totalRotation) : null,
+        rotationSmoothness: metrics.rotation ? metrics.rotation.smoothness : null,
+        ldlj: measures ? measures.ldljScore : null,
+        sparc: measures ? measures.sparcScore : null,
+        velocityPeaks: measures ? measures.velocityPeakScore : null,
+        contact: scoreRollContact(metrics.phases, profile)
+    };
 }
 
 /**
  * Calculate peak force score
  */
-function calculatePeakScore(peakForce) {
-    // Ideal peak force range: 1.2G - 2.0G
-    const idealMin = 1.2;
-    const idealMax = 2.0;
-
-    if (peakForce >= idealMin && peakForce <= idealMax) {
+function calculatePeakScore(peakForce, range = getActiveProfile().ranges.peakForce) {
+    if (peakForce >= range.min && peakForce <= range.max) {
         return 100;
-    } else if (peakForce < idealMin) {
+    } else if (peakForce < range.min) {
         // Too gentle
-        return Math.max(0, 100 - ((idealMin - peakForce) * 60));
+        return Math.max(0, 100 - ((range.min - peakForce) * 60));
     } else {
         // Too forceful
-        return Math.max(0, 100 - ((peakForce - idealMax) * 40));
+        return Math.max(0, 100 - ((peakForce - range.max) * 40));
     }
 }
 
 /**
  * Calculate timing score
  */
-function calculateTimeScore(rollTime) {
-    // Ideal roll time: 1.0 - 2.5 seconds
-    const idealMin = 1.0;
-    const idealMax = 2.5;
-
-    if (rollTime >= idealMin && rollTime <= idealMax) {
+function calculateTimeScore(rollTime, range = getActiveProfile().ranges.rollTime) {
+    if (rollTime >= range.min && rollTime <= range.max) {
         return 100;
-    } else if (rollTime < idealMin) {
+    } else if (rollTime < range.min) {
         // Too fast
-        return Math.max(0, 100 - ((idealMin - rollTime) * 50));
+        return Math.max(0, 100 - ((range.min - rollTime) * 50));
     } else {
         // Too slow
-        return Math.max(0, 100 - ((rollTime - idealMax) * 30));
+        return Math.max(0, 100 - ((rollTime - range.max) * 30));
+    }
+}
+
+/**
+ * Calculate rotation angle score
+ */
+function calculateRotationScore(totalRotation, range = getActiveProfile().ranges.totalRotation) {
+    if (totalRotation >= range.min && totalRotation <= range.max) {
+        return 100;
+    } else if (totalRotation < range.min) {
+        // Incomplete rotation
+        return Math.max(0, 100 - ((range.min - totalRotation) * 0.3));
+    } else {
+        // Over-rotation or spinning
+        return Math.max(0, 100 - ((totalRotation - range.max) * 0.2));
     }
 }
 
+/**
+ * One-line summary of the dimensionless smoothness measures
+ */
+function formatSmoothnessMeasures(measures) {
+    if (!measures) return '';
+
+    const parts = [];
+    if (measures.ldlj !== null) parts.push(`LDLJ ${measures.ldlj.toFixed(1)}`);
+    if (measures.sparc !== null) parts.push(`SPARC ${measures.sparc.toFixed(2)}`);
+    parts.push(`${measures.velocityPeaks} peak${measures.velocityPeaks === 1 ? '' : 's'}`);
+    return parts.join(' · ');
+}
+
 /**
  * Update metrics display in UI
  */
@@ -358,8 +763,15 @@ function updateMetricsDisplay(metrics) {
     const updates = [
         { id: 'peakForce', value: metrics.peakForce.toFixed(2) },
         { id: 'smoothness', value: Math.round(metrics.smoothness) },
+        { id: 'smoothnessMeasures', value: formatSmoothnessMeasures(metrics.smoothnessMeasures) },
         { id: 'rollTime', value: metrics.rollTime.toFixed(2) },
-        { id: 'jerkIndex', value: metrics.avgJerk.toFixed(1) }
+        { id: 'jerkIndex', value: metrics.avgJerk.toFixed(1) },
+        { id: 'spectralSmoothness', value: metrics.spectral ? Math.round(metrics.spectral.spectralSmoothness) : '--' },
+        { id: 'dominantRollFrequency', value: metrics.spectral ? `· ${metrics.spectral.dominantFrequency.toFixed(1)}Hz` : '' },
+        { id: 'totalRotation', value: metrics.rotation ? Math.round(metrics.rotation.totalRotation) : '--' },
+        { id: 'peakAngularVelocity', value: metrics.rotation ? Math.round(metrics.rotation.peakAngularVelocity) : '--' },
+        { id: 'rotationAxis', value: metrics.rotation ?
+            `${metrics.rotation.axis.toUpperCase()}-axis ${Math.round(metrics.rotation.axisShare)}%` : 'no gyro' }
     ];
 
     updates.forEach(update => {
@@ -448,6 +860,13 @@ function resetData() {
     }
 
     AppState.accelerationData = [];
+    AppState.samplingReport = null;
+    updateSamplingReport();
+    AppState.rollPhases = null;
+    renderPhaseBreakdown(null);
+    renderTemplateComparison(null);
+    renderClassification(null);
+    renderFaultList(null);
 
     // Reset UI elements
     const status = document.getElementById('status');
@@ -465,9 +884,16 @@ function resetData() {
     const metricResets = [
         { id: 'peakForce', value: '0' },
         { id: 'smoothness', value: '--' },
+        { id: 'smoothnessMeasures', value: '' },
         { id: 'rollTime', value: '0' },
         { id: 'jerkIndex', value: '0' },
-        { id: 'overallScore', value: '--' }
+        { id: 'spectralSmoothness', value: '--' },
+        { id: 'dominantRollFrequency', value: '' },
+        { id: 'totalRotation', value: '--' },
+        { id: 'peakAngularVelocity', value: '--' },
+        { id: 'rotationAxis', value: '' },
+        { id: 'overallScore', value: '--' },
+        { id: 'personalScore', value: '' }
     ];
 
     metricResets.forEach(reset => {
@@ -484,8 +910,9 @@ function resetData() {
         circleElement.style.stroke = '#4caf50';
     }
 
-    // Clear graph
+    // Clear graph and replay
     initCanvas();
+    clearReplay();
 
     addLog('Reset', 'All measurement data has been reset');
     showNotification('Data reset complete', 'success');
@@ -495,31 +922,101 @@ function resetData() {
  * Save session to history
  */
 function saveSession(session) {
-    AppState.sessionHistory.unshift(session);
+    if (!AppState.sessionDb) {
+        // No IndexedDB: keep the last sessions in localStorage
+        AppState.sessionHistory.unshift(session);
+        if (AppState.sessionHistory.length > LOCAL_HISTORY_LIMIT) {
+            AppState.sessionHistory = AppState.sessionHistory.slice(0, LOCAL_HISTORY_LIMIT);
+        }
+
+        if (saveSessionHistory()) {
+            addLog('Session', `Score: ${session.score} saved to history`);
+        }
+        return;
+    }
+
+    AppState.sessionHistory.unshift(summarizeSession(session));
+    putSession(session)
+        .then(() => {
+            addLog('Session', `Score: ${session.score} saved to history`);
+            checkStorageQuota();
+        })
+        .catch(error => {
+            addLog('Storage error', 'Failed to save session');
+            console.error('Failed to save session:', error);
+            showNotification('Could not save this session - storage may be full', 'error');
+        });
+}
+
+/**
+ * Score a saved session as another roll type, keeping the profile-dependent
+ * contact score, faults and personal score in step with it
+ */
+function rescoreSession(session, metrics, profile) {
+    session.score = calculateOverallScore(metrics, profile);
+    session.profileId = profile.id;
+    session.profileName = profile.name;
+    session.metrics.contactScore = scoreRollContact(metrics.phases, profile);
+    session.faults = detectFaults(metrics, session.classification, profile.id).map(summarizeFault);
+    session.personalScore = calculatePersonalScore(session.metrics, getSessionBaseline(session));
+}
 
-    // Keep only last 50 sessions
-    if (AppState.sessionHistory.length > 50) {
-        AppState.sessionHistory = AppState.sessionHistory.slice(0, 50);
+/**
+ * Write back the session (or list of sessions) whose approval, label or score
+ * changed. Without IndexedDB the whole localStorage history is rewritten.
+ */
+function saveSessionHistory(changed) {
+    if (AppState.sessionDb) {
+        const write = Array.isArray(changed) ? putSessionSummaries(changed) : putSessionSummary(changed);
+        write.catch(error => {
+            addLog('Storage error', 'Failed to update session history');
+            console.error('Failed to update session history:', error);
+        });
+        return true;
     }
 
-    // Save to localStorage
     try {
         localStorage.setItem('rollHistory', JSON.stringify(AppState.sessionHistory));
-        addLog('Session', `Score: ${session.score} saved to history`);
+        return true;
     } catch (error) {
         addLog('Storage error', 'Failed to save session to localStorage');
         console.error('Failed to save session:', error);
+        return false;
     }
 }
 
 /**
- * Load session history from localStorage
+ * Load session summaries from IndexedDB, migrating an old localStorage history first
  */
 function loadSessionHistory() {
+    return openSessionStore()
+        .then(() => migrateLocalStorageHistory())
+        .then(() => loadAllSessionSummaries())
+        .then(sessions => {
+            AppState.sessionHistory = sessions;
+            addLog('History', `Loaded ${sessions.length} previous sessions`);
+        })
+        .catch(error => {
+            console.warn('IndexedDB unavailable, using localStorage:', error);
+            addLog('Storage', 'IndexedDB unavailable - history limited to the last 50 sessions');
+            AppState.sessionDb = null;
+            loadLocalSessionHistory();
+        });
+}
+
+/**
+ * Load session history from localStorage (fallback without IndexedDB)
+ */
+function loadLocalSessionHistory() {
     try {
         const saved = localStorage.getItem('rollHistory');
         if (saved) {
             AppState.sessionHistory = JSON.parse(saved);
+
+            // Older sessions were saved without an id
+            AppState.sessionHistory.forEach(session => {
+                if (!session.id) session.id = generateId();
+            });
             addLog('History', `Loaded ${AppState.sessionHistory.length} previous sessions`);
         }
     } catch (error) {
@@ -547,52 +1044,150 @@ function displaySessionHistory() {
         return;
     }
 
-    // Create table
-    let html = `
+    const query = AppState.historyQuery;
+    return querySessions({
+        offset: query.page * HISTORY_PAGE_SIZE,
+        limit: HISTORY_PAGE_SIZE,
+        profileId: query.profileId || undefined,
+        athleteId: query.athleteId || undefined
+    }).then(({ sessions, total }) => {
+        renderSessionHistoryPage(container, sessions, total);
+        updateStoragePanel();
+    }).catch(error => {
+        addLog('Storage error', 'Failed to read session history');
+        console.error('Failed to read session history:', error);
+    });
+}
+
+/**
+ * Render one page of the history table with its filter and pager
+ */
+function renderSessionHistoryPage(container, sessions, total) {
+    const query = AppState.historyQuery;
+    const pages = Math.max(1, Math.ceil(total / HISTORY_PAGE_SIZE));
+
+    const profileOptions = Object.values(AppState.scoringProfiles).map(profile => `
+        <option value="${escapeHtml(profile.id)}" ${profile.id === query.profileId ? 'selected' : ''}>
+            ${escapeHtml(profile.name)}
+        </option>
+    `).join('');
+
+    const athletes = Object.values(AppState.athletes).sort((a, b) => a.name.localeCompare(b.name));
+    const athleteFilter = athletes.length > 0 ? `
+        <select onchange="setHistoryFilter({ athleteId: this.value })" aria-label="Filter by athlete">
+            <option value="">All athletes</option>
+            ${athletes.map(athlete => `
+                <option value="${escapeHtml(athlete.id)}" ${athlete.id === query.athleteId ? 'selected' : ''}>
+                    ${escapeHtml(athlete.name)}
+                </option>
+            `).join('')}
+        </select>
+    ` : '';
+
+    // Calibration panel, then the table
+    let html = renderBaselinePanel();
+    html += `
+        <div class="history-toolbar">
+            ${athleteFilter}
+            <select onchange="setHistoryFilter({ profileId: this.value })" aria-label="Filter by roll type">
+                <option value="">All roll types</option>
+                ${profileOptions}
+            </select>
+            ${renderCompareControls()}
+            <div class="history-pager">
+                <button class="control-btn export-btn" onclick="setHistoryPage(${query.page - 1})" ${query.page > 0 ? '' : 'disabled'}>
+                    <i class="fas fa-chevron-left"></i>
+                </button>
+                <span>Page ${query.page + 1} of ${pages} · ${total} sessions</span>
+                <button class="control-btn export-btn" onclick="setHistoryPage(${query.page + 1})" ${query.page + 1 < pages ? '' : 'disabled'}>
+                    <i class="fas fa-chevron-right"></i>
+                </button>
+            </div>
+        </div>
+        ${renderDashboard()}
         <div style="overflow-x: auto;">
             <table class="session-table">
                 <thead>
                     <tr>
                         <th><i class="fas fa-calendar"></i> Date/Time</th>
                         <th><i class="fas fa-star"></i> Score</th>
+                        <th><i class="fas fa-tag"></i> Roll Type</th>
                         <th><i class="fas fa-bolt"></i> Peak G</th>
                         <th><i class="fas fa-wave-square"></i> Smoothness</th>
                         <th><i class="fas fa-clock"></i> Time</th>
                         <th><i class="fas fa-chart-area"></i> Jerk</th>
+                        <th><i class="fas fa-user-check"></i> Baseline</th>
+                        <th><i class="fas fa-bookmark"></i> Reference</th>
+                        <th><i class="fas fa-columns"></i> Compare</th>
                     </tr>
                 </thead>
                 <tbody>
     `;
 
-    AppState.sessionHistory.forEach((session, index) => {
+    sessions.forEach((session, index) => {
         const date = new Date(session.timestamp);
         const scoreColor = getScoreColor(session.score);
-        const isRecent = index < 3; // Highlight recent sessions
+        const isRecent = query.page === 0 && !query.profileId && !query.athleteId && index < 3; // Highlight recent sessions
+        const athlete = session.athleteId && AppState.athletes[session.athleteId];
+        const isCompared = AppState.compareSelection.includes(session.id);
+        const isReference = AppState.referenceTemplate && AppState.referenceTemplate.sessionId === session.id;
+        const label = session.classification;
 
         html += `
-            <tr class="${isRecent ? 'recent-session' : ''}">
+            <tr class="session-row ${isRecent ? 'recent-session' : ''}" onclick="openSessionDetail('${session.id}', event)">
                 <td>
                     <div style="font-weight: 500;">${date.toLocaleDateString()}</div>
                     <div style="font-size: 0.8em; color: #666;">${date.toLocaleTimeString()}</div>
+                    ${athlete ? `<div class="session-athlete"><i class="fas fa-user"></i> ${escapeHtml(athlete.name)}</div>` : ''}
                 </td>
                 <td class="score-cell" style="color: ${scoreColor};">
                     <span style="font-size: 1.2em;">${session.score}</span>
                     <div style="font-size: 0.7em; opacity: 0.8;">
                         ${getScoreGrade(session.score)}
                     </div>
+                    ${session.personalScore !== null && session.personalScore !== undefined ? `
+                        <div class="personal-score" style="color: ${getScoreColor(session.personalScore)};">
+                            Personal ${session.personalScore}
+                        </div>
+                    ` : ''}
+                </td>
+                <td class="metric-cell">
+                    ${escapeHtml(session.profileName || 'Forward Roll')}
+                    <select class="label-select" onchange="correctSessionLabel('${session.id}', this.value)"
+                            aria-label="Correct roll type">
+                        <option value="" ${label ? '' : 'selected'} disabled>Label…</option>
+                        ${Object.keys(ROLL_TYPES).map(type => `
+                            <option value="${type}" ${label && label.type === type ? 'selected' : ''}>
+                                ${ROLL_TYPES[type]}${label && label.type === type && label.source === 'user' ? ' ✓' : ''}
+                            </option>
+                        `).join('')}
+                    </select>
                 </td>
                 <td class="metric-cell">${session.metrics.peakForce}G</td>
                 <td class="metric-cell">${session.metrics.smoothness}%</td>
                 <td class="metric-cell">${session.metrics.rollTime}s</td>
                 <td class="metric-cell">${session.metrics.jerkIndex}</td>
+                <td class="metric-cell">
+                    <input type="checkbox" ${session.approved ? 'checked' : ''}
+                           onchange="toggleBaselineApproval('${session.id}')" aria-label="Use as calibration roll">
+                </td>
+                <td class="metric-cell">
+                    <input type="radio" name="referenceRoll" ${isReference ? 'checked' : ''}
+                           onchange="setReferenceTemplate('${session.id}')" aria-label="Use as reference roll">
+                </td>
+                <td class="metric-cell">
+                    <input type="checkbox" ${isCompared ? 'checked' : ''}
+                           ${!isCompared && AppState.compareSelection.length >= COMPARE_MAX ? 'disabled' : ''}
+                           onchange="toggleCompareSelection('${session.id}')" aria-label="Select for comparison">
+                </td>
             </tr>
         `;
     });
 
     html += '</tbody></table></div>';
 
-    // Add statistics
-    const stats = calculateHistoryStatistics();
+    // Add statistics (for the selected athlete when filtered)
+    const stats = calculateHistoryStatistics(query.athleteId ? getAthleteSessions(query.athleteId) : AppState.sessionHistory);
     html += `
         <div class="history-stats">
             <div class="stat-grid">
@@ -619,8 +1214,26 @@ function displaySessionHistory() {
             </div>
         </div>
     `;
+    html += renderStoragePanel();
 
     container.innerHTML = html;
+    drawDashboardChart();
+}
+
+/**
+ * Show another page of history
+ */
+function setHistoryPage(page) {
+    AppState.historyQuery.page = Math.max(0, page);
+    displaySessionHistory();
+}
+
+/**
+ * Filter history by roll type and/or athlete, e.g. { athleteId: '...' }
+ */
+function setHistoryFilter(filter) {
+    AppState.historyQuery = { ...AppState.historyQuery, ...filter, page: 0 };
+    displaySessionHistory();
 }
 
 /**
@@ -646,10 +1259,10 @@ function getScoreGrade(score) {
 }
 
 /**
- * Calculate statistics from session history
+ * Calculate statistics from session history (newest first)
  */
-function calculateHistoryStatistics() {
-    if (AppState.sessionHistory.length === 0) {
+function calculateHistoryStatistics(sessions = AppState.sessionHistory) {
+    if (sessions.length === 0) {
         return {
             averageScore: 0,
             bestScore: 0,
@@ -658,22 +1271,18 @@ function calculateHistoryStatistics() {
         };
     }
 
-    const scores = AppState.sessionHistory.map(s => s.score);
+    const scores = sessions.map(s => s.score);
     const averageScore = Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length);
     const bestScore = Math.max(...scores);
 
-    // Calculate improvement (comparing recent vs older sessions)
-    let improvement = 0;
-    if (AppState.sessionHistory.length >= 6) {
-        const recentAvg = scores.slice(0, 3).reduce((sum, score) => sum + score, 0) / 3;
-        const olderAvg = scores.slice(-3).reduce((sum, score) => sum + score, 0) / 3;
-        improvement = Math.round(recentAvg - olderAvg);
-    }
+    // Improvement along the score trend line, first session to latest
+    const trend = calculateMetricTrend(getMetricSeries(sessions.slice().reverse(), 'score'));
+    const improvement = trend ? Math.round(trend.change) : 0;
 
     return {
         averageScore,
         bestScore,
         improvement: improvement > 0 ? `+${improvement}` : improvement.toString(),
-        totalSessions: AppState.sessionHistory.length
+        totalSessions: sessions.length
     };
 }
\ No newline at end of file
@@ -0,0 +1,260 @@
+// Athlete Profiles - js/athletes.js
+//
+// One device, many students. Each athlete has their own details, a default
+// roll type and a personal baseline; every session is tagged with whoever
+// was selected when it was recorded. No athlete selected ('') keeps the
+// single-user behaviour, so older untagged sessions still belong somewhere.
+
+/**
+ * Load athletes and the selected athlete from localStorage
+ */
+function loadAthletes() {
+    AppState.athletes = {};
+
+    try {
+        const saved = JSON.parse(localStorage.getItem('rollAthletes') || '{}');
+        Object.values(saved).forEach(athlete => {
+            AppState.athletes[athlete.id] = athlete;
+        });
+
+        const activeId = localStorage.getItem('rollActiveAthlete') || '';
+        AppState.activeAthleteId = AppState.athletes[activeId] ? activeId : '';
+    } catch (error) {
+        addLog('Storage error', 'Failed to load athletes');
+        console.error('Failed to load athletes:', error);
+    }
+
+    // The restored athlete's roll type wins over the last one used
+    const athlete = getActiveAthlete();
+    if (athlete && athlete.profileId && AppState.scoringProfiles[athlete.profileId] &&
+        athlete.profileId !== AppState.activeProfileId) {
+        setActiveProfile(athlete.profileId);
+    }
+
+    AppState.historyQuery.athleteId = AppState.activeAthleteId;
+    renderAthleteSwitcher();
+    renderAthleteEditor();
+}
+
+/**
+ * Persist athletes and the selection
+ */
+function saveAthletes() {
+    try {
+        localStorage.setItem('rollAthletes', JSON.stringify(AppState.athletes));
+        localStorage.setItem('rollActiveAthlete', AppState.activeAthleteId);
+    } catch (error) {
+        addLog('Storage error', 'Failed to save athletes');
+        console.error('Failed to save athletes:', error);
+    }
+}
+
+/**
+ * The selected athlete, or null when nobody is selected
+ */
+function getActiveAthlete() {
+    return (AppState.athletes && AppState.athletes[AppState.activeAthleteId]) || null;
+}
+
+/**
+ * Sessions recorded for an athlete ('' = untagged sessions)
+ */
+function getAthleteSessions(athleteId = AppState.activeAthleteId) {
+    return AppState.sessionHistory.filter(session => (session.athleteId || '') === athleteId);
+}
+
+/**
+ * Switch the athlete the next rolls are recorded for
+ */
+function setActiveAthlete(id) {
+    if (id && !AppState.athletes[id]) return;
+
+    AppState.activeAthleteId = id;
+    saveAthletes();
+
+    const athlete = getActiveAthlete();
+    if (athlete && athlete.profileId && AppState.scoringProfiles[athlete.profileId]) {
+        setActiveProfile(athlete.profileId);
+    }
+
+    // Baseline and coach view follow the athlete
+    loadPersonalBaseline();
+    updatePersonalScoreDisplay(null);
+    AppState.historyQuery = { ...AppState.historyQuery, page: 0, athleteId: id };
+
+    renderAthleteSwitcher();
+    renderAthleteEditor();
+    if (AppState.currentMode === 'coach') displaySessionHistory();
+
+    addLog('Athletes', athlete ? `Recording for ${athlete.name}` : 'No athlete selected');
+}
+
+/**
+ * Fill the athlete switcher in the header
+ */
+function renderAthleteSwitcher() {
+    const select = document.getElementById('athleteSelect');
+    if (!select) return;
+
+    const athletes = Object.values(AppState.athletes).sort((a, b) => a.name.localeCompare(b.name));
+    select.innerHTML = `<option value="">No athlete</option>` + athletes.map(athlete => `
+        <option value="${escapeHtml(athlete.id)}" ${athlete.id === AppState.activeAthleteId ? 'selected' : ''}>
+            ${escapeHtml(athlete.name)}${athlete.rank ? ` · ${escapeHtml(athlete.rank)}` : ''}
+        </option>
+    `).join('');
+}
+
+/**
+ * Render the editor form for the selected athlete
+ */
+function renderAthleteEditor() {
+    const container = document.getElementById('athleteEditor');
+    if (!container) return;
+
+    const athlete = getActiveAthlete();
+    if (!athlete) {
+        container.innerHTML = `
+            <p class="profile-hint">Rolls are not tagged with an athlete. Add one, then pick them in the header before they roll.</p>
+            <div class="controls">
+                <button class="control-btn export-btn" onclick="createAthlete()">
+                    <i class="fas fa-user-plus"></i> NEW ATHLETE
+                </button>
+            </div>
+        `;
+        return;
+    }
+
+    const profileOptions = Object.values(AppState.scoringProfiles).map(profile => `
+        <option value="${escapeHtml(profile.id)}" ${profile.id === athlete.profileId ? 'selected' : ''}>
+            ${escapeHtml(profile.name)}
+        </option>
+    `).join('');
+
+    const sessionCount = getAthleteSessions(athlete.id).length;
+
+    container.innerHTML = `
+        <div class="form-grid">
+            <div class="form-field">
+                <label for="athleteName">Name</label>
+                <input type="text" id="athleteName" value="${escapeHtml(athlete.name)}">
+            </div>
+            <div class="form-field">
+                <label for="athleteRank">Belt / rank</label>
+                <input type="text" id="athleteRank" value="${escapeHtml(athlete.rank || '')}">
+            </div>
+            <div class="form-field">
+                <label for="athleteWeight">Weight (kg)</label>
+                <input type="number" id="athleteWeight" min="0" step="0.5" value="${athlete.weight || ''}">
+            </div>
+            <div class="form-field">
+                <label for="athleteHeight">Height (cm)</label>
+                <input type="number" id="athleteHeight" min="0" step="1" value="${athlete.height || ''}">
+            </div>
+            <div class="form-field">
+                <label for="athleteProfile">Roll type</label>
+                <select id="athleteProfile">
+                    <option value="" ${athlete.profileId ? '' : 'selected'}>Keep current</option>
+                    ${profileOptions}
+                </select>
+            </div>
+        </div>
+        <div class="form-field">
+            <label for="athleteNotes">Notes</label>
+            <textarea id="athleteNotes" rows="2">${escapeHtml(athlete.notes || '')}</textarea>
+        </div>
+        <p class="profile-hint">
+            ${sessionCount} session${sessionCount === 1 ? '' : 's'} ·
+            ${athlete.baseline ? `baseline from ${athlete.baseline.rollCount} rolls` : 'no baseline yet'}
+        </p>
+        <div class="controls">
+            <button class="control-btn start-btn" onclick="saveAthleteFromEditor()">
+                <i class="fas fa-save"></i> SAVE
+            </button>
+            <button class="control-btn export-btn" onclick="createAthlete()">
+                <i class="fas fa-user-plus"></i> NEW ATHLETE
+            </button>
+            <button class="control-btn reset-btn" onclick="deleteAthlete()">
+                <i class="fas fa-trash"></i> DELETE
+            </button>
+        </div>
+    `;
+}
+
+/**
+ * Read the editor form into the selected athlete
+ */
+function saveAthleteFromEditor() {
+    const athlete = getActiveAthlete();
+    if (!athlete) return;
+
+    const name = document.getElementById('athleteName').value.trim();
+    if (!name) {
+        showNotification('An athlete needs a name', 'warning');
+        return;
+    }
+
+    const number = id => {
+        const value = parseFloat(document.getElementById(id).value);
+        return value > 0 ? value : null;
+    };
+
+    Object.assign(athlete, {
+        name,
+        rank: document.getElementById('athleteRank').value.trim(),
+        weight: number('athleteWeight'),
+        height: number('athleteHeight'),
+        notes: document.getElementById('athleteNotes').value.trim(),
+        profileId: document.getElementById('athleteProfile').value
+    });
+
+    saveAthletes();
+    if (athlete.profileId && athlete.profileId !== AppState.activeProfileId) {
+        setActiveProfile(athlete.profileId);
+    }
+    renderAthleteSwitcher();
+    renderAthleteEditor();
+
+    addLog('Athletes', `Saved athlete ${athlete.name}`);
+    showNotification(`Athlete "${athlete.name}" saved`, 'success');
+}
+
+/**
+ * Add an athlete and select them
+ */
+function createAthlete() {
+    const athlete = {
+        id: `athlete-${generateId()}`,
+        name: `Athlete ${Object.keys(AppState.athletes).length + 1}`,
+        rank: '',
+        weight: null,
+        height: null,
+        notes: '',
+        profileId: '',
+        baseline: null,
+        createdAt: new Date().toISOString()
+    };
+
+    AppState.athletes[athlete.id] = athlete;
+    setActiveAthlete(athlete.id);
+    showNotification(`Added "${athlete.name}" - fill in their details below`, 'success');
+}
+
+/**
+ * Delete the selected athlete. Their sessions are kept but untagged.
+ */
+function deleteAthlete() {
+    const athlete = getActiveAthlete();
+    if (!athlete) return;
+
+    const sessions = getAthleteSessions(athlete.id);
+    if (!confirm(`Delete ${athlete.name}? Their ${sessions.length} sessions are kept but no longer tagged.`)) return;
+
+    sessions.forEach(session => { session.athleteId = null; });
+    if (sessions.length > 0) saveSessionHistory(sessions);
+
+    delete AppState.athletes[athlete.id];
+    setActiveAthlete('');
+
+    addLog('Athletes', `Deleted athlete ${athlete.name}`);
+    showNotification(`Deleted "${athlete.name}"`, 'info');
+}
@@ -0,0 +1,253 @@
+// Personal Baseline - js/baseline.js
+//
+// A coach approves a handful of good rolls; their metrics become the
+// athlete's baseline and later rolls are also scored against it. Each
+// athlete profile keeps its own baseline; with no athlete selected the
+// device-wide one is used.
+
+const BASELINE_MIN_ROLLS = 3;
+const BASELINE_TOLERANCE = 1;   // standard deviations that still score 100
+const BASELINE_PENALTY = 25;    // points lost per extra standard deviation
+
+// direction: 1 = higher is better, -1 = lower is better, 0 = closer is better
+// floor: smallest spread used, so a very consistent baseline isn't too strict
+const BASELINE_METRICS = {
+    peakForce: { label: 'Peak force', unit: 'G', decimals: 2, direction: 0, floor: 0.1 },
+    smoothness: { label: 'Smoothness', unit: '%', decimals: 0, direction: 1, floor: 3 },
+    rollTime: { label: 'Roll time', unit: 's', decimals: 2, direction: 0, floor: 0.1 },
+    jerkIndex: { label: 'Jerk', unit: '', decimals: 1, direction: -1, floor: 2 },
+    totalRotation: { label: 'Rotation', unit: '°', decimals: 0, direction: 0, floor: 20 }
+};
+
+/**
+ * Load the saved baseline
+ */
+function loadPersonalBaseline() {
+    const athlete = getActiveAthlete();
+    AppState.baseline = athlete ? athlete.baseline || null : loadDeviceBaseline();
+}
+
+/**
+ * The device-wide baseline, used for untagged sessions
+ */
+function loadDeviceBaseline() {
+    try {
+        const saved = localStorage.getItem('rollPersonalBaseline');
+        return saved ? JSON.parse(saved) : null;
+    } catch (error) {
+        addLog('Storage error', 'Failed to load personal baseline');
+        console.error('Failed to load personal baseline:', error);
+        return null;
+    }
+}
+
+/**
+ * The baseline a saved session is scored against: its athlete's, or the device-wide one
+ */
+function getSessionBaseline(session) {
+    const athleteId = session.athleteId || '';
+    if (athleteId === AppState.activeAthleteId) return AppState.baseline;
+    if (!athleteId) return loadDeviceBaseline();
+
+    const athlete = AppState.athletes[athleteId];
+    return athlete ? athlete.baseline || null : null;
+}
+
+/**
+ * Persist the current baseline
+ */
+function savePersonalBaseline() {
+    const athlete = getActiveAthlete();
+    if (athlete) {
+        athlete.baseline = AppState.baseline;
+        saveAthletes();
+        renderAthleteEditor();
+        return;
+    }
+
+    try {
+        if (AppState.baseline) {
+            localStorage.setItem('rollPersonalBaseline', JSON.stringify(AppState.baseline));
+        } else {
+            localStorage.removeItem('rollPersonalBaseline');
+        }
+    } catch (error) {
+        addLog('Storage error', 'Failed to save personal baseline');
+        console.error('Failed to save personal baseline:', error);
+    }
+}
+
+/**
+ * Mark or unmark a session as a coach-approved calibration roll
+ */
+function toggleBaselineApproval(sessionId) {
+    const session = AppState.sessionHistory.find(s => s.id === sessionId);
+    if (!session) return;
+
+    session.approved = !session.approved;
+    saveSessionHistory(session);
+    displaySessionHistory();
+
+    addLog('Baseline', `Session ${session.approved ? 'approved for' : 'removed from'} calibration`);
+}
+
+/**
+ * Build the baseline from the approved sessions
+ */
+function buildPersonalBaseline() {
+    const approved = getAthleteSessions().filter(s => s.approved);
+
+    if (approved.length < BASELINE_MIN_ROLLS) {
+        showNotification(`Approve at least ${BASELINE_MIN_ROLLS} good rolls first`, 'warning');
+        return null;
+    }
+
+    const metrics = {};
+    Object.keys(BASELINE_METRICS).forEach(key => {
+        const values = approved
+            .map(s => parseFloat(s.metrics[key]))
+            .filter(value => !isNaN(value));
+        if (values.length < BASELINE_MIN_ROLLS) return;
+
+        const stats = calculateStats(values);
+        metrics[key] = { mean: stats.avg, std: stats.std, count: values.length };
+    });
+
+    AppState.baseline = {
+        createdAt: new Date().toISOString(),
+        sessionIds: approved.map(s => s.id),
+        rollCount: approved.length,
+        metrics
+    };
+    savePersonalBaseline();
+
+    // Rescore history so every session is relative to the same baseline
+    rescorePersonalHistory();
+
+    addLog('Baseline', `Personal baseline built from ${approved.length} approved rolls`);
+    showNotification(`Baseline built from ${approved.length} rolls`, 'success');
+    return AppState.baseline;
+}
+
+/**
+ * Remove the baseline and all personal scores
+ */
+function clearPersonalBaseline() {
+    AppState.baseline = null;
+    savePersonalBaseline();
+    rescorePersonalHistory();
+
+    addLog('Baseline', 'Personal baseline cleared');
+    showNotification('Personal baseline cleared', 'info');
+}
+
+/**
+ * Recalculate the personal score of every saved session
+ */
+function rescorePersonalHistory() {
+    const sessions = getAthleteSessions();
+    sessions.forEach(session => {
+        session.personalScore = calculatePersonalScore(session.metrics);
+    });
+    saveSessionHistory(sessions);
+    displaySessionHistory();
+}
+
+/**
+ * Score one metric against the baseline (0-100)
+ */
+function calculateBaselineMetricScore(value, stats, meta) {
+    const spread = Math.max(stats.std, meta.floor);
+    let deviation = (value - stats.mean) / spread;
+
+    // Only penalize the "bad" side for directional metrics
+    if (meta.direction !== 0) {
+        deviation = Math.max(0, -deviation * meta.direction);
+    }
+
+    const excess = Math.max(0, Math.abs(deviation) - BASELINE_TOLERANCE);
+    return clamp(100 - excess * BASELINE_PENALTY, 0, 100);
+}
+
+/**
+ * Score a session's metrics relative to the personal baseline.
+ * Returns null when there is no baseline.
+ */
+function calculatePersonalScore(sessionMetrics, baseline = AppState.baseline) {
+    if (!baseline || !sessionMetrics) return null;
+
+    const scores = Object.keys(baseline.metrics)
+        .map(key => {
+            const value = parseFloat(sessionMetrics[key]);
+            if (isNaN(value)) return null;
+            return calculateBaselineMetricScore(value, baseline.metrics[key], BASELINE_METRICS[key]);
+        })
+        .filter(score => score !== null);
+
+    if (scores.length === 0) return null;
+    return Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length);
+}
+
+/**
+ * Show the personal score next to the overall score after a roll
+ */
+function updatePersonalScoreDisplay(personalScore) {
+    const element = document.getElementById('personalScore');
+    if (!element) return;
+
+    if (personalScore === null || personalScore === undefined) {
+        element.textContent = AppState.baseline ? '' : 'No personal baseline yet';
+        return;
+    }
+
+    element.innerHTML = `Personal: <strong style="color: ${getScoreColor(personalScore)};">${personalScore}</strong>`;
+}
+
+/**
+ * Render the calibration panel at the top of the coach view
+ */
+function renderBaselinePanel() {
+    const approvedCount = getAthleteSessions().filter(s => s.approved).length;
+    const baseline = AppState.baseline;
+    const athlete = getActiveAthlete();
+
+    const rows = baseline ? Object.keys(baseline.metrics).map(key => {
+        const meta = BASELINE_METRICS[key];
+        const stats = baseline.metrics[key];
+        return `
+            <div class="baseline-metric">
+                <span>${meta.label}</span>
+                ${formatNumber(stats.mean, meta.decimals)}${meta.unit} ± ${formatNumber(stats.std, meta.decimals)}
+            </div>
+        `;
+    }).join('') : '';
+
+    return `
+        <div class="baseline-panel">
+            <div class="baseline-header">
+                <div>
+                    <strong><i class="fas fa-user-check"></i> Personal baseline${athlete ? ` · ${escapeHtml(athlete.name)}` : ''}</strong>
+                    <div class="baseline-status">
+                        ${baseline ?
+                            `Built ${new Date(baseline.createdAt).toLocaleDateString()} from ${baseline.rollCount} rolls` :
+                            'Not calibrated'} ·
+                        ${approvedCount} approved (need ${BASELINE_MIN_ROLLS})
+                    </div>
+                </div>
+                <div class="controls">
+                    <button class="control-btn start-btn" onclick="buildPersonalBaseline()"
+                            ${approvedCount < BASELINE_MIN_ROLLS ? 'disabled' : ''}>
+                        <i class="fas fa-ruler"></i> BUILD
+                    </button>
+                    <button class="control-btn reset-btn" onclick="clearPersonalBaseline()" ${baseline ? '' : 'disabled'}>
+                        <i class="fas fa-times"></i> CLEAR
+                    </button>
+                </div>
+            </div>
+            ${rows ? `<div class="baseline-metrics">${rows}</div>` : `
+                <p class="baseline-hint">Tick the <i class="fas fa-check-square"></i> box on rolls the coach is happy with,
+                then build the baseline. Later rolls get a personal score relative to it.</p>
+            `}
+        </div>
+    `;
+}
@@ -0,0 +1,355 @@
+// Sensor Calibration - js/calibration.js
+//
+// Estimates accelerometer bias/scale and gyroscope bias for this phone.
+// calibrated accel = (raw - bias) * scale   (m/s², per axis)
+// calibrated gyro  = raw - bias             (deg/s, per axis)
+
+const GRAVITY = 9.81;
+const CALIBRATION_CAPTURE_TIME = 2000; // ms of samples per position
+const CALIBRATION_SETTLE_TIME = 300;   // ms ignored at the start of a capture
+const CALIBRATION_MAX_NOISE = 0.3;     // m/s² - magnitude std above this means "moving"
+const CALIBRATION_MIN_SAMPLES = 20;
+
+// Six-position routine: gravity along each axis in both directions.
+// accelerationIncludingGravity reads +1G on the axis pointing up.
+const CALIBRATION_POSITIONS = [
+    { axis: 'z', sign: 1, label: 'Lay the phone flat, screen up' },
+    { axis: 'z', sign: -1, label: 'Lay the phone flat, screen down' },
+    { axis: 'y', sign: 1, label: 'Stand the phone upright on its bottom edge' },
+    { axis: 'y', sign: -1, label: 'Stand the phone upside down on its top edge' },
+    { axis: 'x', sign: 1, label: 'Stand the phone on its left edge' },
+    { axis: 'x', sign: -1, label: 'Stand the phone on its right edge' }
+];
+
+/**
+ * Load the calibration saved for this device
+ */
+function loadSensorCalibration() {
+    try {
+        const saved = JSON.parse(localStorage.getItem('rollSensorCalibration') || '{}');
+        AppState.sensorCalibration = saved[getDeviceId()] || null;
+    } catch (error) {
+        addLog('Storage error', 'Failed to load sensor calibration');
+        console.error('Failed to load sensor calibration:', error);
+        AppState.sensorCalibration = null;
+    }
+
+    updateCalibrationUI();
+}
+
+/**
+ * Save (or remove) the calibration for this device
+ */
+function saveSensorCalibration() {
+    try {
+        const saved = JSON.parse(localStorage.getItem('rollSensorCalibration') || '{}');
+        if (AppState.sensorCalibration) {
+            saved[getDeviceId()] = AppState.sensorCalibration;
+        } else {
+            delete saved[getDeviceId()];
+        }
+        localStorage.setItem('rollSensorCalibration', JSON.stringify(saved));
+    } catch (error) {
+        addLog('Storage error', 'Failed to save sensor calibration');
+        console.error('Failed to save sensor calibration:', error);
+    }
+}
+
+/**
+ * Apply bias and scale to an accelerationIncludingGravity reading (m/s²)
+ */
+function calibrateAcceleration(acc) {
+    if (!acc) return null;
+
+    const calibration = AppState.sensorCalibration;
+    if (!calibration) return { x: acc.x || 0, y: acc.y || 0, z: acc.z || 0 };
+
+    const { accelBias: bias, accelScale: scale } = calibration;
+    return {
+        x: ((acc.x || 0) - bias.x) * scale.x,
+        y: ((acc.y || 0) - bias.y) * scale.y,
+        z: ((acc.z || 0) - bias.z) * scale.z
+    };
+}
+
+/**
+ * Remove gyroscope bias from a rotation rate (see getRotationRate)
+ */
+function calibrateRotation(rotation) {
+    if (!rotation) return null;
+
+    const calibration = AppState.sensorCalibration;
+    if (!calibration) return rotation;
+
+    const bias = calibration.gyroBias;
+    return {
+        x: rotation.x - bias.x,
+        y: rotation.y - bias.y,
+        z: rotation.z - bias.z
+    };
+}
+
+/**
+ * Begin a calibration routine ('still' or 'six')
+ */
+async function startCalibration(mode) {
+    if (AppState.calibration.active) cancelCalibration();
+
+    const granted = await requestMotionPermission();
+    if (!granted) return;
+
+    Object.assign(AppState.calibration, {
+        active: true,
+        mode,
+        step: 0,
+        capturing: false,
+        captureStart: null,
+        samples: [],
+        captures: []
+    });
+
+    window.addEventListener('devicemotion', handleCalibrationMotion);
+    updateCalibrationUI();
+    addLog('Calibration', `Started ${mode === 'six' ? 'six-position' : 'stationary'} calibration`);
+}
+
+/**
+ * Start capturing the current position
+ */
+function captureCalibrationStep() {
+    const calibration = AppState.calibration;
+    if (!calibration.active || calibration.capturing) return;
+
+    calibration.capturing = true;
+    calibration.captureStart = null;
+    calibration.samples = [];
+    updateCalibrationUI();
+}
+
+/**
+ * Collect raw samples while a position is being captured
+ */
+function handleCalibrationMotion(event) {
+    const calibration = AppState.calibration;
+    if (!calibration.capturing || !event.accelerationIncludingGravity) return;
+
+    const time = getEventTimestamp(event);
+    if (calibration.captureStart === null) calibration.captureStart = time;
+
+    const elapsed = time - calibration.captureStart;
+    if (elapsed < CALIBRATION_SETTLE_TIME) return;
+
+    const acc = event.accelerationIncludingGravity;
+    const rotation = getRotationRate(event) || { x: 0, y: 0, z: 0 };
+    calibration.samples.push({
+        ax: acc.x || 0,
+        ay: acc.y || 0,
+        az: acc.z || 0,
+        gx: rotation.x,
+        gy: rotation.y,
+        gz: rotation.z
+    });
+
+    if (elapsed >= CALIBRATION_CAPTURE_TIME + CALIBRATION_SETTLE_TIME) {
+        finishCalibrationCapture();
+    }
+}
+
+/**
+ * Average a finished capture, check it, and move to the next step
+ */
+function finishCalibrationCapture() {
+    const calibration = AppState.calibration;
+    const samples = calibration.samples;
+    calibration.capturing = false;
+
+    if (samples.length < CALIBRATION_MIN_SAMPLES) {
+        rejectCalibrationCapture('Not enough sensor data - try again');
+        return;
+    }
+
+    const mean = key => samples.reduce((sum, s) => sum + s[key], 0) / samples.length;
+    const capture = {
+        accel: { x: mean('ax'), y: mean('ay'), z: mean('az') },
+        gyro: { x: mean('gx'), y: mean('gy'), z: mean('gz') },
+        noise: calculateStats(samples.map(s => Math.sqrt(s.ax * s.ax + s.ay * s.ay + s.az * s.az))).std
+    };
+
+    if (capture.noise > CALIBRATION_MAX_NOISE) {
+        rejectCalibrationCapture('The phone moved - keep it completely still and try again');
+        return;
+    }
+
+    if (calibration.mode === 'six') {
+        const position = CALIBRATION_POSITIONS[calibration.step];
+        const reading = capture.accel[position.axis] * position.sign;
+        if (reading < GRAVITY * 0.7) {
+            rejectCalibrationCapture(`Wrong position - ${position.label.toLowerCase()}`);
+            return;
+        }
+    }
+
+    calibration.captures.push(capture);
+    calibration.step++;
+
+    const stepsNeeded = calibration.mode === 'six' ? CALIBRATION_POSITIONS.length : 1;
+    if (calibration.step >= stepsNeeded) {
+        completeCalibration();
+    } else {
+        updateCalibrationUI();
+    }
+}
+
+/**
+ * Discard a bad capture and let the user retry the same step
+ */
+function rejectCalibrationCapture(message) {
+    AppState.calibration.samples = [];
+    updateCalibrationUI();
+    addLog('Calibration', message);
+    showNotification(message, 'warning');
+}
+
+/**
+ * Derive bias and scale from the captures and store them
+ */
+function completeCalibration() {
+    const calibration = AppState.calibration;
+    const captures = calibration.captures;
+
+    const gyroBias = {
+        x: captures.reduce((sum, c) => sum + c.gyro.x, 0) / captures.length,
+        y: captures.reduce((sum, c) => sum + c.gyro.y, 0) / captures.length,
+        z: captures.reduce((sum, c) => sum + c.gyro.z, 0) / captures.length
+    };
+
+    let accelBias = { x: 0, y: 0, z: 0 };
+    let accelScale;
+
+    if (calibration.mode === 'six') {
+        // Gravity is +g and -g on each axis: bias is the midpoint, scale fixes the span
+        accelScale = {};
+        ['x', 'y', 'z'].forEach(axis => {
+            const up = captures[CALIBRATION_POSITIONS.findIndex(p => p.axis === axis && p.sign === 1)].accel[axis];
+            const down = captures[CALIBRATION_POSITIONS.findIndex(p => p.axis === axis && p.sign === -1)].accel[axis];
+            accelBias[axis] = (up + down) / 2;
+            accelScale[axis] = (2 * GRAVITY) / (up - down);
+        });
+    } else {
+        // One position only tells us the overall gain
+        const scale = GRAVITY / magnitude3D(captures[0].accel);
+        accelScale = { x: scale, y: scale, z: scale };
+    }
+
+    // How far calibrated gravity is from 1G across the captures (percent)
+    const residual = captures.reduce((sum, c) => {
+        const corrected = {
+            x: (c.accel.x - accelBias.x) * accelScale.x,
+            y: (c.accel.y - accelBias.y) * accelScale.y,
+            z: (c.accel.z - accelBias.z) * accelScale.z
+        };
+        return sum + Math.abs(magnitude3D(corrected) / GRAVITY - 1);
+    }, 0) / captures.length * 100;
+
+    AppState.sensorCalibration = {
+        createdAt: new Date().toISOString(),
+        mode: calibration.mode,
+        accelBias,
+        accelScale,
+        gyroBias,
+        residual
+    };
+    saveSensorCalibration();
+    stopCalibrationListener();
+    updateCalibrationUI();
+
+    addLog('Calibration', `Calibration saved - gyro bias ${formatNumber(magnitude3D(gyroBias))}°/s, residual ${formatNumber(residual)}%`);
+    showNotification('Sensor calibration saved', 'success');
+}
+
+/**
+ * Abort a running calibration without saving
+ */
+function cancelCalibration() {
+    if (!AppState.calibration.active) return;
+
+    stopCalibrationListener();
+    updateCalibrationUI();
+    addLog('Calibration', 'Calibration cancelled');
+}
+
+/**
+ * Forget this device's calibration (or cancel a running one)
+ */
+function clearSensorCalibration() {
+    if (AppState.calibration.active) {
+        cancelCalibration();
+        return;
+    }
+
+    AppState.sensorCalibration = null;
+    saveSensorCalibration();
+    updateCalibrationUI();
+
+    addLog('Calibration', 'Sensor calibration cleared');
+    showNotification('Sensor calibration cleared', 'info');
+}
+
+/**
+ * Stop listening for calibration samples
+ */
+function stopCalibrationListener() {
+    window.removeEventListener('devicemotion', handleCalibrationMotion);
+    Object.assign(AppState.calibration, {
+        active: false,
+        capturing: false,
+        samples: [],
+        captures: []
+    });
+}
+
+/**
+ * Reflect calibration state in the sensors panel
+ */
+function updateCalibrationUI() {
+    const status = document.getElementById('calibrationStatus');
+    const stepText = document.getElementById('calibrationStep');
+    const captureBtn = document.getElementById('calibrationCaptureBtn');
+    const clearBtn = document.getElementById('calibrationClearBtn');
+    const calibration = AppState.calibration;
+    const saved = AppState.sensorCalibration;
+
+    if (status) {
+        if (saved) {
+            const bias = saved.gyroBias;
+            status.innerHTML = `
+                <i class="fas fa-check-circle"></i>
+                Calibrated ${new Date(saved.createdAt).toLocaleDateString()} (${saved.mode === 'six' ? 'six positions' : 'stationary'}) ·
+                gyro bias ${formatNumber(bias.x)}, ${formatNumber(bias.y)}, ${formatNumber(bias.z)} °/s ·
+                residual ${formatNumber(saved.residual)}%
+            `;
+        } else {
+            status.textContent = 'Not calibrated - raw sensor values are used';
+        }
+    }
+
+    if (stepText) {
+        if (!calibration.active) {
+            stepText.textContent = '';
+        } else if (calibration.capturing) {
+            stepText.textContent = 'Hold still… capturing';
+        } else if (calibration.mode === 'six') {
+            const position = CALIBRATION_POSITIONS[calibration.step];
+            stepText.textContent = `Step ${calibration.step + 1} of ${CALIBRATION_POSITIONS.length}: ${position.label}, then press CAPTURE`;
+        } else {
+            stepText.textContent = 'Put the phone down on a steady surface, then press CAPTURE';
+        }
+    }
+
+    if (captureBtn) captureBtn.disabled = !calibration.active || calibration.capturing;
+    if (clearBtn) {
+        clearBtn.innerHTML = calibration.active ?
+            '<i class="fas fa-times"></i> CANCEL' :
+            '<i class="fas fa-trash"></i> CLEAR';
+    }
+}
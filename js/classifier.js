@@ -0,0 +1,263 @@
+// Roll Classifier - js/classifier.js
+//
+// Nearest-centroid classifier that runs entirely in the browser. Each roll
+// type starts from a hand-tuned prototype; sessions the user has labelled
+// pull the centroids towards how this athlete actually rolls.
+//
+// Rotation features assume the phone is worn on the hip or lower back,
+// screen facing out and top pointing up: forward/backward rolls spin about
+// the x axis (opposite signs), side rolls about y.
+
+const ROLL_TYPES = {
+    forward: 'Forward Roll',
+    backward: 'Back Roll',
+    side: 'Side Roll',
+    breakfall: 'Breakfall'
+};
+
+// Feature name, scale (one unit of distance) and label
+const CLASSIFIER_FEATURES = [
+    { key: 'pitchRotation', scale: 180, label: 'Pitch rotation (°)' },
+    { key: 'sideRotation', scale: 180, label: 'Side rotation (°)' },
+    { key: 'yawRotation', scale: 180, label: 'Yaw rotation (°)' },
+    { key: 'peakForce', scale: 1, label: 'Peak force (G)' },
+    // A second per unit, so a slow roll can't outweigh which way it turned
+    { key: 'duration', scale: 1, label: 'Duration (s)' },
+    { key: 'impactPosition', scale: 0.25, label: 'Impact position' }
+];
+
+const CLASSIFIER_PRIORS = {
+    forward: { pitchRotation: 300, sideRotation: 30, yawRotation: 30, peakForce: 1.8, duration: 1.6, impactPosition: 0.6 },
+    backward: { pitchRotation: -300, sideRotation: 30, yawRotation: 30, peakForce: 1.6, duration: 1.8, impactPosition: 0.5 },
+    side: { pitchRotation: 30, sideRotation: 270, yawRotation: 60, peakForce: 2.0, duration: 1.4, impactPosition: 0.6 },
+    breakfall: { pitchRotation: -90, sideRotation: 30, yawRotation: 20, peakForce: 3.0, duration: 0.9, impactPosition: 0.5 }
+};
+
+const CLASSIFIER_PRIOR_WEIGHT = 2;      // labelled rolls it takes to outweigh a prototype
+const CLASSIFIER_MIN_CONFIDENCE = 0.6;  // below this the roll type is not switched automatically
+
+/**
+ * Load the auto-detect setting
+ */
+function loadClassifierSettings() {
+    AppState.autoClassify = localStorage.getItem('rollAutoClassify') !== 'false';
+
+    const toggle = document.getElementById('autoClassify');
+    if (toggle) toggle.checked = AppState.autoClassify;
+}
+
+/**
+ * Turn automatic roll type selection on or off
+ */
+function setAutoClassify(enabled) {
+    AppState.autoClassify = enabled;
+    try {
+        localStorage.setItem('rollAutoClassify', String(enabled));
+    } catch (error) {
+        addLog('Storage error', 'Failed to save classifier setting');
+        console.error('Failed to save classifier setting:', error);
+    }
+    addLog('Classifier', `Automatic roll type detection ${enabled ? 'on' : 'off'}`);
+}
+
+/**
+ * Feature vector for a recording, measured over the roll itself (entry start
+ * to recovery end) so the time spent waiting before and after doesn't count
+ */
+function extractRollFeatures(data, phases = null) {
+    const segments = phases || segmentRollPhases(data, filterRollSignal(data));
+    const start = segments ? segments.list[0].start : data[0].time;
+    const end = segments ? segments.list[segments.list.length - 1].end : data[data.length - 1].time;
+
+    let roll = data.filter(d => d.time >= start && d.time <= end);
+    if (roll.length < 2) roll = data;
+
+    const rotation = { x: 0, y: 0, z: 0 };
+    for (let i = 1; i < roll.length; i++) {
+        const dt = (roll[i].time - roll[i - 1].time) / 1000;
+        rotation.x += (roll[i].gx || 0) * dt;
+        rotation.y += (roll[i].gy || 0) * dt;
+        rotation.z += (roll[i].gz || 0) * dt;
+    }
+
+    const duration = (roll[roll.length - 1].time - roll[0].time) / 1000;
+    const impact = roll.reduce((best, d, i) => d.magnitude > roll[best].magnitude ? i : best, 0);
+    const impactTime = segments ? segments.impactTime : roll[impact].time;
+
+    return {
+        pitchRotation: rotation.x,
+        // Left and right side rolls are the same type
+        sideRotation: Math.abs(rotation.y),
+        yawRotation: Math.abs(rotation.z),
+        peakForce: roll[impact].magnitude,
+        duration,
+        impactPosition: duration > 0 ? clamp((impactTime - roll[0].time) / 1000 / duration, 0, 1) : 0.5
+    };
+}
+
+/**
+ * Scaled distance between two feature sets
+ */
+function featureDistance(a, b) {
+    return Math.sqrt(CLASSIFIER_FEATURES.reduce((sum, feature) => {
+        const diff = (a[feature.key] - b[feature.key]) / feature.scale;
+        return sum + diff * diff;
+    }, 0));
+}
+
+/**
+ * Rebuild the centroids from the user's labelled sessions
+ */
+function trainRollClassifier() {
+    const examples = {};
+    Object.keys(ROLL_TYPES).forEach(type => { examples[type] = []; });
+
+    AppState.sessionHistory.forEach(session => {
+        const label = session.classification;
+        if (label && label.source === 'user' && label.features && examples[label.type]) {
+            examples[label.type].push(label.features);
+        }
+    });
+
+    // Each centroid is the prototype blended with the labelled examples
+    const centroids = {};
+    Object.keys(ROLL_TYPES).forEach(type => {
+        const samples = examples[type];
+        centroids[type] = {};
+        CLASSIFIER_FEATURES.forEach(({ key }) => {
+            const sum = samples.reduce((total, features) => total + features[key], 0);
+            centroids[type][key] = (CLASSIFIER_PRIORS[type][key] * CLASSIFIER_PRIOR_WEIGHT + sum) /
+                (CLASSIFIER_PRIOR_WEIGHT + samples.length);
+        });
+    });
+
+    AppState.classifier = {
+        centroids,
+        counts: Object.fromEntries(Object.keys(examples).map(type => [type, examples[type].length])),
+        trainedAt: new Date().toISOString()
+    };
+
+    const total = Object.values(AppState.classifier.counts).reduce((sum, count) => sum + count, 0);
+    addLog('Classifier', `Trained on ${total} labelled roll${total === 1 ? '' : 's'}`);
+    return AppState.classifier;
+}
+
+/**
+ * Label a recording with a roll type and a confidence (0-1).
+ * Pass the roll's phases when they are already segmented.
+ */
+function classifyRoll(data, phases = null, model = AppState.classifier || trainRollClassifier()) {
+    if (!data || data.length < 10) return null;
+
+    const features = extractRollFeatures(data, phases);
+    const distances = Object.keys(model.centroids).map(type => ({
+        type,
+        distance: featureDistance(features, model.centroids[type])
+    }));
+
+    // Softmax over negative squared distance
+    const weights = distances.map(d => Math.exp(-d.distance * d.distance / 2));
+    const total = weights.reduce((sum, w) => sum + w, 0) || 1;
+    const ranked = distances
+        .map((d, i) => ({ type: d.type, probability: weights[i] / total }))
+        .sort((a, b) => b.probability - a.probability);
+
+    return {
+        type: ranked[0].type,
+        confidence: ranked[0].probability,
+        ranked,
+        features,
+        source: 'auto'
+    };
+}
+
+/**
+ * Switch the roll type to match a confident classification
+ */
+function applyClassification(classification) {
+    if (!AppState.autoClassify || !classification) return false;
+    if (classification.confidence < CLASSIFIER_MIN_CONFIDENCE) return false;
+    if (!AppState.scoringProfiles[classification.type]) return false;
+    if (classification.type === AppState.activeProfileId) return true;
+
+    setActiveProfile(classification.type);
+    return true;
+}
+
+/**
+ * Correct the label of a saved session, re-score it and retrain
+ */
+function correctSessionLabel(sessionId, type) {
+    const session = AppState.sessionHistory.find(s => s.id === sessionId);
+    if (!session || !ROLL_TYPES[type]) return;
+
+    return loadSessionSamples(sessionId).then(rawData => applySessionLabel(session, type, rawData));
+}
+
+/**
+ * Apply a user label to a session (rawData may be null if it was cleaned up)
+ */
+function applySessionLabel(session, type, rawData) {
+    const hasSamples = rawData && rawData.length >= 10;
+    const metrics = hasSamples ? calculateRollMetrics(rawData) : null;
+    // Re-extract when possible so training features match what classifyRoll sees
+    const features = metrics ? extractRollFeatures(rawData, metrics.phases) :
+        session.classification ? session.classification.features || null : null;
+
+    session.classification = {
+        ...(session.classification || {}),
+        type,
+        confidence: 1,
+        features,
+        source: 'user'
+    };
+
+    // Score the roll the way it should have been scored
+    const profile = AppState.scoringProfiles[type];
+    if (profile && metrics) {
+        rescoreSession(session, metrics, profile);
+    }
+
+    saveSessionHistory(session);
+    trainRollClassifier();
+    displaySessionHistory();
+
+    if (AppState.sessionHistory[0] === session) {
+        renderClassification(session.classification);
+    }
+
+    addLog('Classifier', `Session labelled as ${ROLL_TYPES[type]}`);
+}
+
+/**
+ * Correct the label of the latest roll
+ */
+function correctLatestLabel(type) {
+    const latest = AppState.sessionHistory[0];
+    if (latest) return correctSessionLabel(latest.id, type);
+}
+
+/**
+ * Show the detected roll type with a dropdown to correct it
+ */
+function renderClassification(classification) {
+    const container = document.getElementById('rollClassification');
+    if (!container) return;
+
+    if (!classification) {
+        container.innerHTML = '';
+        return;
+    }
+
+    const options = Object.keys(ROLL_TYPES).map(type => `
+        <option value="${type}" ${type === classification.type ? 'selected' : ''}>${ROLL_TYPES[type]}</option>
+    `).join('');
+
+    container.innerHTML = `
+        <i class="fas fa-tag"></i>
+        ${classification.source === 'user' ?
+            'Labelled as' :
+            `Detected (${Math.round(classification.confidence * 100)}% confidence)`}
+        <select onchange="correctLatestLabel(this.value)" aria-label="Correct roll type">${options}</select>
+    `;
+}
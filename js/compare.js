@@ -0,0 +1,318 @@
+// Session Comparison - js/compare.js
+//
+// "Was that one better than the last?" Two to four sessions ticked in the
+// coach table are compared against the earliest of them: traces overlaid
+// from roll onset (the start of the entry phase), saved metrics with deltas
+// coloured by whether they moved the right way, and the scoring components
+// that changed most when every roll is scored with the earliest one's profile.
+
+const COMPARE_MIN = 2;
+const COMPARE_MAX = 4;
+const COMPARE_COLORS = [
+    'rgba(102, 126, 234, 1)',
+    'rgba(255, 152, 0, 1)',
+    'rgba(76, 175, 80, 1)',
+    'rgba(233, 30, 99, 1)'
+];
+const COMPARE_TOLERANCE = 0.01;  // relative change treated as no change
+
+/**
+ * Tick or untick a session for comparison
+ */
+function toggleCompareSelection(sessionId) {
+    const selection = AppState.compareSelection;
+    const index = selection.indexOf(sessionId);
+
+    if (index >= 0) {
+        selection.splice(index, 1);
+    } else if (selection.length >= COMPARE_MAX) {
+        showNotification(`Compare up to ${COMPARE_MAX} sessions at a time`, 'warning');
+    } else {
+        selection.push(sessionId);
+    }
+
+    displaySessionHistory();
+}
+
+/**
+ * Untick every session
+ */
+function clearCompareSelection() {
+    AppState.compareSelection = [];
+    closeSessionComparison();
+    displaySessionHistory();
+}
+
+/**
+ * Compare button and count for the history toolbar
+ */
+function renderCompareControls() {
+    const count = AppState.compareSelection.length;
+    return `
+        <div class="compare-controls">
+            <button class="control-btn start-btn" onclick="openSessionComparison()" ${count >= COMPARE_MIN ? '' : 'disabled'}>
+                <i class="fas fa-columns"></i> COMPARE (${count})
+            </button>
+            ${count > 0 ? `
+                <button class="control-btn reset-btn" onclick="clearCompareSelection()" aria-label="Clear comparison">
+                    <i class="fas fa-times"></i>
+                </button>
+            ` : ''}
+        </div>
+    `;
+}
+
+/**
+ * Distance from a value to an ideal range (0 inside it)
+ */
+function distanceToRange(value, range) {
+    if (value < range.min) return range.min - value;
+    if (value > range.max) return value - range.max;
+    return 0;
+}
+
+/**
+ * Whether a metric moved the right way: 1 better, -1 worse, 0 no real change.
+ * Metrics without a direction count as better when they move towards the
+ * roll type's ideal range.
+ */
+function rateMetricChange(key, value, reference, profile) {
+    if (value === null || reference === null) return 0;
+    if (Math.abs(value - reference) <= Math.abs(reference) * COMPARE_TOLERANCE) return 0;
+
+    const meta = DASHBOARD_METRICS[key];
+    if (meta.direction !== 0) return Math.sign((value - reference) * meta.direction);
+
+    const range = profile.ranges[key];
+    if (!range) return 0;
+    return Math.sign(distanceToRange(reference, range) - distanceToRange(value, range));
+}
+
+/**
+ * Load samples and re-analyse each selected session, oldest first
+ */
+function loadComparison(ids = AppState.compareSelection) {
+    const sessions = ids
+        .map(id => AppState.sessionHistory.find(s => s.id === id))
+        .filter(Boolean)
+        .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+
+    return Promise.all(sessions.map(session => loadSessionSamples(session.id))).then(samples =>
+        sessions.map((session, i) => {
+            const rawData = samples[i] && samples[i].length >= 10 ? samples[i] : null;
+            const metrics = rawData ? calculateRollMetrics(rawData) : null;
+            return {
+                session,
+                rawData,
+                metrics,
+                // Roll onset: start of the entry phase
+                onset: metrics && metrics.phases ? metrics.phases.list[0].start : (rawData ? rawData[0].time : 0)
+            };
+        }));
+}
+
+/**
+ * Scoring components that changed most between the first and last roll,
+ * both scored with the first roll's profile (contact included, so the
+ * analyzer's current roll type doesn't change the ranking)
+ */
+function rankComponentChanges(first, last, profile) {
+    if (!first.metrics || !last.metrics) return [];
+
+    const before = calculateScoreComponents(first.metrics, profile);
+    const after = calculateScoreComponents(last.metrics, profile);
+
+    return Object.keys(SCORE_COMPONENTS)
+        .filter(key => before[key] !== null && after[key] !== null)
+        .map(key => ({
+            key,
+            label: SCORE_COMPONENTS[key],
+            before: before[key],
+            after: after[key],
+            delta: after[key] - before[key],
+            weight: profile.weights[key] || 0
+        }))
+        .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta));
+}
+
+/**
+ * Open the comparison panel for the ticked sessions
+ */
+function openSessionComparison() {
+    if (AppState.compareSelection.length < COMPARE_MIN) {
+        showNotification(`Tick at least ${COMPARE_MIN} sessions to compare`, 'warning');
+        return;
+    }
+
+    return loadComparison().then(entries => {
+        AppState.comparison = entries;
+        renderSessionComparison();
+        addLog('Compare', `Comparing ${entries.length} sessions`);
+    }).catch(error => {
+        addLog('Storage error', 'Failed to load sessions for comparison');
+        console.error('Failed to load sessions for comparison:', error);
+    });
+}
+
+/**
+ * Close the comparison panel
+ */
+function closeSessionComparison() {
+    AppState.comparison = null;
+
+    if (AppState.charts.compare) {
+        AppState.charts.compare.destroy();
+        AppState.charts.compare = null;
+    }
+
+    const container = document.getElementById('sessionCompare');
+    if (container) {
+        container.classList.add('hidden');
+        container.innerHTML = '';
+    }
+}
+
+/**
+ * Render the comparison: legend, metric deltas and component changes
+ */
+function renderSessionComparison() {
+    const container = document.getElementById('sessionCompare');
+    const entries = AppState.comparison;
+    if (!container || !entries || entries.length === 0) return;
+
+    const first = entries[0];
+    const last = entries[entries.length - 1];
+    const profile = getScoringProfile(first.session.profileId);
+    const deltaClass = { 1: 'delta-better', 0: 'delta-same', '-1': 'delta-worse' };
+
+    const headers = entries.map((entry, i) => {
+        const date = new Date(entry.session.timestamp);
+        const athlete = entry.session.athleteId && AppState.athletes[entry.session.athleteId];
+        return `
+            <th>
+                <span class="compare-swatch" style="background: ${COMPARE_COLORS[i]};"></span>
+                ${date.toLocaleDateString()} ${date.toLocaleTimeString()}
+                <div class="dashboard-detail">
+                    ${athlete ? `${escapeHtml(athlete.name)} · ` : ''}${escapeHtml(entry.session.profileName || 'Forward Roll')}
+                </div>
+            </th>
+        `;
+    }).join('');
+
+    const metricRows = Object.keys(DASHBOARD_METRICS).map(key => {
+        const meta = DASHBOARD_METRICS[key];
+        const values = entries.map(entry => getSessionMetricValue(entry.session, key));
+        if (values.every(value => value === null)) return '';
+
+        const cells = values.map((value, i) => {
+            if (i === 0 || value === null || values[0] === null) {
+                return `<td class="metric-cell">${formatDashboardValue(value, meta)}</td>`;
+            }
+            const delta = value - values[0];
+            const rating = rateMetricChange(key, value, values[0], getScoringProfile(entries[i].session.profileId));
+            return `
+                <td class="metric-cell">
+                    ${formatDashboardValue(value, meta)}
+                    <span class="compare-delta ${deltaClass[rating]}">${delta > 0 ? '+' : ''}${formatNumber(delta, meta.decimals)}</span>
+                </td>
+            `;
+        }).join('');
+
+        return `<tr><td>${meta.label}</td>${cells}</tr>`;
+    }).join('');
+
+    const changes = rankComponentChanges(first, last, profile);
+    const componentItems = changes.filter(change => Math.abs(change.delta) >= 1).map(change => `
+        <li>
+            <strong>${change.label}</strong>
+            ${Math.round(change.before)} → ${Math.round(change.after)}
+            <span class="compare-delta ${change.delta > 0 ? 'delta-better' : 'delta-worse'}">
+                ${change.delta > 0 ? '+' : ''}${Math.round(change.delta)}
+            </span>
+            ${change.weight > 0 ? `<span class="dashboard-detail">${Math.round(change.weight * 100)}% of the score</span>` :
+                '<span class="dashboard-detail">not weighted</span>'}
+        </li>
+    `).join('');
+
+    const missing = entries.filter(entry => !entry.rawData).length;
+    const componentSection = !first.metrics || !last.metrics ?
+        '<p class="profile-hint">Component changes need the raw samples of the first and last session.</p>' :
+        componentItems ? `<ol>${componentItems}</ol>` : '<p class="profile-hint">No component changed by a point or more.</p>';
+
+    container.innerHTML = `
+        <div class="detail-header">
+            <div>
+                <strong><i class="fas fa-columns"></i> Comparing ${entries.length} sessions</strong>
+                <div class="baseline-status">
+                    Deltas are against the earliest session; components are scored as ${escapeHtml(profile.name)}.
+                    ${missing > 0 ? `${missing} session${missing === 1 ? ' has' : 's have'} no raw data to overlay.` : ''}
+                </div>
+            </div>
+            <button class="control-btn reset-btn" onclick="closeSessionComparison()" aria-label="Close comparison">
+                <i class="fas fa-times"></i>
+            </button>
+        </div>
+        <div class="dashboard-chart">
+            <canvas id="compareChart"></canvas>
+        </div>
+        <div style="overflow-x: auto;">
+            <table class="session-table dashboard-table compare-table">
+                <thead><tr><th>Metric</th>${headers}</tr></thead>
+                <tbody>${metricRows}</tbody>
+            </table>
+        </div>
+        <div class="settings-subtitle">Biggest component changes (first → last)</div>
+        ${componentSection}
+    `;
+    container.classList.remove('hidden');
+
+    drawComparisonChart();
+}
+
+/**
+ * Overlay the traces with time measured from each roll's onset
+ */
+function drawComparisonChart() {
+    if (AppState.charts.compare) {
+        AppState.charts.compare.destroy();
+        AppState.charts.compare = null;
+    }
+
+    const entries = AppState.comparison;
+    const canvas = document.getElementById('compareChart');
+    if (!canvas || !entries || typeof Chart === 'undefined') return;
+
+    const datasets = [];
+    entries.forEach((entry, i) => {
+        if (!entry.rawData) return;
+        datasets.push({
+            label: `${new Date(entry.session.timestamp).toLocaleTimeString()} (${entry.session.score})`,
+            data: entry.rawData.map((d, j) => ({
+                x: (d.time - entry.onset) / 1000,
+                y: entry.metrics.filtered.magnitude[j]
+            })),
+            borderColor: COMPARE_COLORS[i],
+            backgroundColor: 'transparent',
+            borderWidth: 2,
+            pointRadius: 0,
+            tension: 0.3
+        });
+    });
+
+    AppState.charts.compare = new Chart(canvas.getContext('2d'), {
+        type: 'line',
+        data: { datasets },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            scales: {
+                x: { type: 'linear', title: { display: true, text: 'Time from onset (s)' } },
+                y: { title: { display: true, text: 'Acceleration (G)' }, suggestedMin: 0, suggestedMax: 2.5 }
+            },
+            plugins: {
+                legend: { display: true }
+            },
+            animation: { duration: 0 }
+        }
+    });
+}
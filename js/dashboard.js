@@ -0,0 +1,354 @@
+// Coach Dashboard - js/dashboard.js
+//
+// Trends for the sessions the coach view is filtered to (athlete and roll
+// type): a chart per metric with a rolling average and a regression line,
+// the slope per week of every metric, a week-by-week breakdown and the best
+// and worst rolls. Slopes need sessions on at least two days and are only
+// called a trend when the line explains enough of the spread, so a couple of
+// lucky rolls don't read as progress.
+
+// Every metric analyzeRoll saves; direction as in BASELINE_METRICS
+const DASHBOARD_METRICS = {
+    score: { label: 'Score', unit: '', decimals: 0, direction: 1 },
+    ...BASELINE_METRICS,
+    contactScore: { label: 'Contact score', unit: '', decimals: 0, direction: 1 },
+    rotationSmoothness: { label: 'Spin smoothness', unit: '%', decimals: 0, direction: 1 },
+    peakAngularVelocity: { label: 'Peak angular velocity', unit: '°/s', decimals: 0, direction: 0 },
+    peakLinearAcceleration: { label: 'Peak linear acceleration', unit: 'G', decimals: 2, direction: 0 },
+    ldlj: { label: 'LDLJ', unit: '', decimals: 2, direction: 1 },
+    sparc: { label: 'SPARC', unit: '', decimals: 2, direction: 1 },
+    velocityPeaks: { label: 'Velocity peaks', unit: '', decimals: 0, direction: -1 },
+    spectralSmoothness: { label: 'Spectral smoothness', unit: '%', decimals: 0, direction: 1 },
+    dominantFrequency: { label: 'Dominant frequency', unit: 'Hz', decimals: 1, direction: 0 },
+    templateSimilarity: { label: 'Reference match', unit: '%', decimals: 0, direction: 1 }
+};
+
+const DASHBOARD_MIN_SESSIONS = 3;    // fewer than this and there is no dashboard
+const DASHBOARD_MIN_DAYS = 2;        // distinct days needed before a slope per week means anything
+const DASHBOARD_ROLLING_WINDOW = 5;  // sessions in the trailing rolling average
+const DASHBOARD_MIN_R2 = 0.1;        // fit needed before a slope counts as a trend
+const DASHBOARD_EXTREMES = 3;        // best and worst sessions listed
+const DASHBOARD_WEEKS = 8;           // weeks in the breakdown table
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Sessions matching the coach view filters, oldest first
+ */
+function getDashboardSessions(query = AppState.historyQuery) {
+    return AppState.sessionHistory
+        .filter(session =>
+            (!query.profileId || session.profileId === query.profileId) &&
+            (!query.athleteId || session.athleteId === query.athleteId))
+        .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+}
+
+/**
+ * A session's value for a dashboard metric (null when it wasn't recorded)
+ */
+function getSessionMetricValue(session, key) {
+    const value = key === 'score' ? session.score : parseFloat(session.metrics && session.metrics[key]);
+    return typeof value === 'number' && !isNaN(value) ? value : null;
+}
+
+/**
+ * [{ x: time (ms), y: value, session }] for one metric
+ */
+function getMetricSeries(sessions, key) {
+    return sessions
+        .map(session => ({ x: new Date(session.timestamp).getTime(), y: getSessionMetricValue(session, key), session }))
+        .filter(point => point.y !== null);
+}
+
+/**
+ * Regression of a metric over time, read against the metric's direction
+ */
+function calculateMetricTrend(series, meta = DASHBOARD_METRICS.score) {
+    if (series.length < DASHBOARD_MIN_SESSIONS) return null;
+
+    // One evening's rolls extrapolated to a week would read as a huge trend
+    const days = new Set(series.map(p => new Date(p.x).toDateString()));
+    if (days.size < DASHBOARD_MIN_DAYS) return null;
+
+    const start = series[0].x;
+    const fit = linearRegression(series.map(p => ({ x: (p.x - start) / WEEK_MS, y: p.y })));
+    const weeks = (series[series.length - 1].x - start) / WEEK_MS;
+
+    let status = 'flat';
+    if (fit.r2 >= DASHBOARD_MIN_R2 && fit.slope !== 0) {
+        if (meta.direction === 0) status = 'changing';
+        else status = fit.slope * meta.direction > 0 ? 'improving' : 'worsening';
+    }
+
+    return {
+        slopePerWeek: fit.slope,
+        intercept: fit.intercept,
+        r2: fit.r2,
+        // Change along the fitted line from the first to the latest session
+        change: fit.slope * weeks,
+        start,
+        status
+    };
+}
+
+/**
+ * Monday 00:00 (local time) of the week a date falls in
+ */
+function getWeekStart(date) {
+    const start = new Date(date);
+    start.setHours(0, 0, 0, 0);
+    start.setDate(start.getDate() - (start.getDay() + 6) % 7);
+    return start;
+}
+
+/**
+ * Per-week counts and averages, newest week first
+ */
+function calculateWeeklyBreakdown(sessions) {
+    const weeks = new Map();
+    sessions.forEach(session => {
+        const key = getWeekStart(new Date(session.timestamp)).getTime();
+        if (!weeks.has(key)) weeks.set(key, []);
+        weeks.get(key).push(session);
+    });
+
+    const average = (list, key) => {
+        const values = list.map(s => getSessionMetricValue(s, key)).filter(v => v !== null);
+        return values.length > 0 ? calculateStats(values).avg : null;
+    };
+
+    return Array.from(weeks.keys()).sort((a, b) => b - a).map(key => {
+        const list = weeks.get(key);
+        return {
+            start: new Date(key),
+            count: list.length,
+            averageScore: average(list, 'score'),
+            bestScore: Math.max(...list.map(s => s.score)),
+            smoothness: average(list, 'smoothness'),
+            peakForce: average(list, 'peakForce')
+        };
+    });
+}
+
+/**
+ * Highest and lowest scoring sessions
+ */
+function getExtremeSessions(sessions, count = DASHBOARD_EXTREMES) {
+    const ranked = sessions.slice().sort((a, b) => b.score - a.score);
+    const best = ranked.slice(0, count);
+    // Never list a session as both best and worst
+    const worst = ranked.slice(best.length).slice(-count).reverse();
+    return { best, worst };
+}
+
+/**
+ * Format a metric value with its unit
+ */
+function formatDashboardValue(value, meta) {
+    if (value === null || value === undefined) return '–';
+    return `${formatNumber(value, meta.decimals)}${meta.unit}`;
+}
+
+/**
+ * Dashboard HTML for the coach view (the chart is drawn by drawDashboardChart)
+ */
+function renderDashboard(sessions = getDashboardSessions()) {
+    if (sessions.length < DASHBOARD_MIN_SESSIONS) {
+        return `
+            <div class="dashboard">
+                <p class="profile-hint">Trends appear once there are ${DASHBOARD_MIN_SESSIONS} sessions for this selection.</p>
+            </div>
+        `;
+    }
+
+    const metricOptions = Object.keys(DASHBOARD_METRICS).map(key => `
+        <option value="${key}" ${key === AppState.dashboardMetric ? 'selected' : ''}>${DASHBOARD_METRICS[key].label}</option>
+    `).join('');
+
+    const trendIcons = {
+        improving: 'fa-arrow-up',
+        worsening: 'fa-arrow-down',
+        changing: 'fa-arrows-alt-v',
+        flat: 'fa-minus'
+    };
+
+    const trendRows = Object.keys(DASHBOARD_METRICS).map(key => {
+        const meta = DASHBOARD_METRICS[key];
+        const series = getMetricSeries(sessions, key);
+        if (series.length === 0) return '';
+
+        const trend = calculateMetricTrend(series, meta);
+        const latest = series[series.length - 1].y;
+        if (!trend) {
+            return `
+                <tr>
+                    <td>${meta.label}</td>
+                    <td class="metric-cell">${formatDashboardValue(latest, meta)}</td>
+                    <td class="metric-cell">–</td>
+                    <td class="metric-cell">–</td>
+                    <td class="metric-cell">–</td>
+                </tr>
+            `;
+        }
+
+        const sign = trend.slopePerWeek > 0 ? '+' : '';
+        return `
+            <tr class="trend-${trend.status}">
+                <td>${meta.label}</td>
+                <td class="metric-cell">${formatDashboardValue(latest, meta)}</td>
+                <td class="metric-cell">${sign}${formatNumber(trend.slopePerWeek, meta.decimals + 1)}${meta.unit}/wk</td>
+                <td class="metric-cell">${formatNumber(trend.r2, 2)}</td>
+                <td class="metric-cell"><i class="fas ${trendIcons[trend.status]}"></i> ${trend.status}</td>
+            </tr>
+        `;
+    }).join('');
+
+    const weekRows = calculateWeeklyBreakdown(sessions).slice(0, DASHBOARD_WEEKS).map(week => `
+        <tr>
+            <td>${week.start.toLocaleDateString()}</td>
+            <td class="metric-cell">${week.count}</td>
+            <td class="metric-cell" style="color: ${getScoreColor(week.averageScore)};">${Math.round(week.averageScore)}</td>
+            <td class="metric-cell">${week.bestScore}</td>
+            <td class="metric-cell">${formatDashboardValue(week.smoothness, DASHBOARD_METRICS.smoothness)}</td>
+            <td class="metric-cell">${formatDashboardValue(week.peakForce, DASHBOARD_METRICS.peakForce)}</td>
+        </tr>
+    `).join('');
+
+    const extremes = getExtremeSessions(sessions);
+    const sessionItem = session => `
+        <li>
+            <strong style="color: ${getScoreColor(session.score)};">${session.score}</strong>
+            ${escapeHtml(session.profileName || 'Forward Roll')} ·
+            ${new Date(session.timestamp).toLocaleDateString()}
+            <span class="dashboard-detail">${session.metrics.smoothness}% smooth, ${session.metrics.peakForce}G</span>
+        </li>
+    `;
+
+    return `
+        <div class="dashboard">
+            <div class="dashboard-header">
+                <strong><i class="fas fa-chart-line"></i> Progress</strong>
+                <select id="dashboardMetric" onchange="setDashboardMetric(this.value)" aria-label="Metric to chart">
+                    ${metricOptions}
+                </select>
+            </div>
+            <div class="dashboard-chart">
+                <canvas id="dashboardChart"></canvas>
+            </div>
+            <div class="settings-subtitle">Trends (slope per week, once there are sessions on ${DASHBOARD_MIN_DAYS} days)</div>
+            <div style="overflow-x: auto;">
+                <table class="session-table dashboard-table">
+                    <thead>
+                        <tr><th>Metric</th><th>Latest</th><th>Slope</th><th>R²</th><th>Trend</th></tr>
+                    </thead>
+                    <tbody>${trendRows}</tbody>
+                </table>
+            </div>
+            <div class="settings-subtitle">Week by week</div>
+            <div style="overflow-x: auto;">
+                <table class="session-table dashboard-table">
+                    <thead>
+                        <tr><th>Week of</th><th>Rolls</th><th>Avg score</th><th>Best</th><th>Smoothness</th><th>Peak G</th></tr>
+                    </thead>
+                    <tbody>${weekRows}</tbody>
+                </table>
+            </div>
+            <div class="dashboard-extremes">
+                <div>
+                    <div class="settings-subtitle"><i class="fas fa-trophy"></i> Best sessions</div>
+                    <ol>${extremes.best.map(sessionItem).join('')}</ol>
+                </div>
+                <div>
+                    <div class="settings-subtitle"><i class="fas fa-exclamation-triangle"></i> Worst sessions</div>
+                    ${extremes.worst.length > 0 ? `<ol>${extremes.worst.map(sessionItem).join('')}</ol>` :
+                        '<p class="profile-hint">Needs a few more sessions.</p>'}
+                </div>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Chart the selected metric: sessions, rolling average and regression line
+ */
+function drawDashboardChart(sessions = getDashboardSessions()) {
+    if (AppState.charts.dashboard) {
+        AppState.charts.dashboard.destroy();
+        AppState.charts.dashboard = null;
+    }
+
+    const canvas = document.getElementById('dashboardChart');
+    if (!canvas || typeof Chart === 'undefined') return;
+
+    const key = DASHBOARD_METRICS[AppState.dashboardMetric] ? AppState.dashboardMetric : 'score';
+    const meta = DASHBOARD_METRICS[key];
+    const series = getMetricSeries(sessions, key);
+    const trend = calculateMetricTrend(series, meta);
+
+    // Trailing, so each point only averages the sessions up to it
+    const rolling = trailingAverage(series.map(p => p.y), DASHBOARD_ROLLING_WINDOW);
+    const datasets = [{
+        label: meta.label,
+        data: series.map(p => ({ x: p.x, y: p.y })),
+        showLine: false,
+        pointRadius: 3,
+        borderColor: 'rgba(102, 126, 234, 1)',
+        backgroundColor: 'rgba(102, 126, 234, 0.6)'
+    }, {
+        label: `Rolling average (${DASHBOARD_ROLLING_WINDOW})`,
+        data: series.map((p, i) => ({ x: p.x, y: rolling[i] })),
+        borderColor: 'rgba(76, 175, 80, 1)',
+        backgroundColor: 'transparent',
+        borderWidth: 2,
+        pointRadius: 0,
+        tension: 0.3
+    }];
+
+    if (trend) {
+        const line = x => trend.intercept + trend.slopePerWeek * (x - trend.start) / WEEK_MS;
+        const first = series[0].x;
+        const last = series[series.length - 1].x;
+        datasets.push({
+            label: 'Trend',
+            data: [{ x: first, y: line(first) }, { x: last, y: line(last) }],
+            borderColor: 'rgba(255, 152, 0, 1)',
+            backgroundColor: 'transparent',
+            borderWidth: 2,
+            borderDash: [6, 4],
+            pointRadius: 0
+        });
+    }
+
+    AppState.charts.dashboard = new Chart(canvas.getContext('2d'), {
+        type: 'line',
+        data: { datasets },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            scales: {
+                x: {
+                    type: 'linear',
+                    ticks: { callback: value => new Date(value).toLocaleDateString(), maxTicksLimit: 6 }
+                },
+                y: { title: { display: true, text: meta.unit ? `${meta.label} (${meta.unit})` : meta.label } }
+            },
+            plugins: {
+                legend: { display: true },
+                tooltip: {
+                    callbacks: {
+                        title: items => items.length > 0 ? new Date(items[0].parsed.x).toLocaleString() : ''
+                    }
+                }
+            },
+            animation: { duration: 0 }
+        }
+    });
+}
+
+/**
+ * Switch the charted metric
+ */
+function setDashboardMetric(key) {
+    if (!DASHBOARD_METRICS[key]) return;
+    AppState.dashboardMetric = key;
+    drawDashboardChart();
+}
@@ -0,0 +1,362 @@
+// Session Detail View - js/detail.js
+//
+// Opens a saved session from the coach table: the acceleration trace redrawn
+// from its stored samples, every metric calculateRollMetrics produces
+// (including the ones the live view has no room for), and the roll scored
+// again with any scoring profile. Re-analysis uses the current signal
+// processing settings, so it can differ slightly from the saved score.
+
+/**
+ * Open a session from its history row
+ */
+function openSessionDetail(sessionId, event) {
+    // The row's own controls (label, baseline, reference) don't open it
+    if (event && event.target.closest('input, select, button, label')) return;
+
+    const session = AppState.sessionHistory.find(s => s.id === sessionId);
+    if (!session) return;
+
+    return loadSessionSamples(sessionId).then(rawData => {
+        const hasSamples = rawData && rawData.length >= 10;
+        AppState.sessionDetail = {
+            session,
+            rawData: hasSamples ? rawData : null,
+            metrics: hasSamples ? calculateRollMetrics(rawData) : null,
+            profileId: AppState.scoringProfiles[session.profileId] ? session.profileId : AppState.activeProfileId
+        };
+
+        renderSessionDetail();
+        addLog('Sessions', `Opened session from ${new Date(session.timestamp).toLocaleString()}`);
+    }).catch(error => {
+        addLog('Storage error', 'Failed to load session samples');
+        console.error('Failed to load session samples:', error);
+    });
+}
+
+/**
+ * Close the detail view
+ */
+function closeSessionDetail() {
+    AppState.sessionDetail = null;
+
+    if (AppState.charts.detail) {
+        AppState.charts.detail.destroy();
+        AppState.charts.detail = null;
+    }
+
+    const container = document.getElementById('sessionDetail');
+    if (container) {
+        container.classList.add('hidden');
+        container.innerHTML = '';
+    }
+}
+
+/**
+ * Grouped label/value pairs for every metric of an analyzed roll
+ * (the contact score depends on the profile it is scored with)
+ */
+function describeRollMetrics(metrics, profile = getActiveProfile()) {
+    const fixed = (value, decimals, unit = '') =>
+        value === null || value === undefined || isNaN(value) ? '–' : `${formatNumber(value, decimals)}${unit}`;
+
+    const groups = [{
+        title: 'Basics',
+        items: [
+            ['Peak force', fixed(metrics.peakForce, 2, 'G')],
+            ['Average force', fixed(metrics.avgForce, 2, 'G')],
+            ['Roll time', fixed(metrics.rollTime, 2, 's')],
+            ['Average jerk', fixed(metrics.avgJerk, 1, 'G/s')],
+            ['Smoothness', fixed(metrics.smoothness, 0, '%')]
+        ]
+    }, {
+        title: 'Motion variability',
+        items: [
+            ['Mean', fixed(metrics.motionVariability.mean, 2, 'G')],
+            ['Standard deviation', fixed(metrics.motionVariability.standardDeviation, 2, 'G')],
+            ['Coefficient of variation', fixed(metrics.motionVariability.coefficientOfVariation, 1, '%')],
+            ['Range', fixed(metrics.motionVariability.range, 2, 'G')]
+        ]
+    }, {
+        title: 'Stability index',
+        items: [
+            ['X axis', fixed(metrics.stabilityIndex.x, 1)],
+            ['Y axis', fixed(metrics.stabilityIndex.y, 1)],
+            ['Z axis', fixed(metrics.stabilityIndex.z, 1)],
+            ['Overall', fixed(metrics.stabilityIndex.overall, 1)]
+        ]
+    }, {
+        title: 'Peak detection',
+        items: [
+            ['Peaks over 1.2G', metrics.peakDetection.count],
+            ['Average interval', fixed(metrics.peakDetection.avgInterval, 0, 'ms')],
+            ['Rhythm consistency', fixed(metrics.peakDetection.rhythmConsistency, 0, '%')],
+            ['Peak times', metrics.peakDetection.peakTimes.length > 0 ?
+                metrics.peakDetection.peakTimes.map(time => `${(time / 1000).toFixed(2)}s`).join(', ') : '–']
+        ]
+    }];
+
+    if (metrics.rotation) {
+        groups.push({
+            title: 'Rotation',
+            items: [
+                ['Total rotation', fixed(metrics.rotation.totalRotation, 0, '°')],
+                ['Peak angular velocity', fixed(metrics.rotation.peakAngularVelocity, 0, '°/s')],
+                ['Main axis', `${metrics.rotation.axis.toUpperCase()} (${Math.round(metrics.rotation.axisShare)}%)`],
+                ['Spin smoothness', fixed(metrics.rotation.smoothness, 0, '%')]
+            ]
+        });
+    }
+
+    const measures = metrics.smoothnessMeasures;
+    groups.push({
+        title: 'Smoothness measures',
+        items: [
+            ['LDLJ', measures ? fixed(measures.ldlj, 2) : '–'],
+            ['SPARC', measures ? fixed(measures.sparc, 2) : '–'],
+            ['Velocity peaks', measures ? measures.velocityPeaks : '–'],
+            ['Spectral smoothness', metrics.spectral ? fixed(metrics.spectral.spectralSmoothness, 0, '%') : '–'],
+            ['Dominant frequency', metrics.spectral ? fixed(metrics.spectral.dominantFrequency, 1, 'Hz') : '–']
+        ]
+    });
+
+    if (metrics.phases) {
+        groups.push({
+            title: 'Phases',
+            items: metrics.phases.list.map(phase => [
+                ROLL_PHASES[phase.name] ? ROLL_PHASES[phase.name].label : phase.name,
+                `${fixed(phase.duration, 2, 's')} · ${fixed(phase.peakForce, 2, 'G')}`
+            ]).concat([['Contact score', fixed(scoreRollContact(metrics.phases, profile), 0)]])
+        });
+    }
+
+    return groups;
+}
+
+/**
+ * Saved summary metrics, for sessions whose samples were cleaned up
+ */
+function describeSavedMetrics(session) {
+    return [{
+        title: 'Saved metrics',
+        items: Object.keys(session.metrics)
+            .filter(key => session.metrics[key] !== null && session.metrics[key] !== undefined)
+            .map(key => [key.replace(/([A-Z])/g, ' $1').toLowerCase(), escapeHtml(String(session.metrics[key]))])
+    }];
+}
+
+/**
+ * Score the open session with the selected profile
+ */
+function scoreSessionDetail(detail = AppState.sessionDetail) {
+    const profile = getScoringProfile(detail.profileId);
+    return {
+        profile,
+        score: calculateOverallScore(detail.metrics, profile),
+        components: calculateScoreComponents(detail.metrics, profile)
+    };
+}
+
+/**
+ * Render the detail panel for the open session
+ */
+function renderSessionDetail() {
+    const container = document.getElementById('sessionDetail');
+    const detail = AppState.sessionDetail;
+    if (!container || !detail) return;
+
+    const session = detail.session;
+    const athlete = session.athleteId && AppState.athletes[session.athleteId];
+    const date = new Date(session.timestamp);
+
+    let analysis = `
+        <p class="profile-hint">
+            <i class="fas fa-info-circle"></i> The raw samples for this session were removed to save space,
+            so it can't be redrawn or re-scored.
+        </p>
+    `;
+    let groups = describeSavedMetrics(session);
+
+    if (detail.metrics) {
+        const { profile, score, components } = scoreSessionDetail(detail);
+        const changed = score !== session.score || profile.id !== session.profileId;
+
+        const profileOptions = Object.values(AppState.scoringProfiles).map(p => `
+            <option value="${escapeHtml(p.id)}" ${p.id === profile.id ? 'selected' : ''}>${escapeHtml(p.name)}</option>
+        `).join('');
+
+        const componentRows = Object.keys(SCORE_COMPONENTS).map(key => {
+            const weight = profile.weights[key] || 0;
+            if (weight <= 0) return '';
+            return `
+                <tr>
+                    <td>${SCORE_COMPONENTS[key]}</td>
+                    <td class="metric-cell">${components[key] === null ? '–' : Math.round(components[key])}</td>
+                    <td class="metric-cell">${Math.round(weight * 100)}%</td>
+                </tr>
+            `;
+        }).join('');
+
+        analysis = `
+            <div class="detail-rescore">
+                <div class="form-field">
+                    <label for="detailProfile">Score as</label>
+                    <select id="detailProfile" onchange="setSessionDetailProfile(this.value)">${profileOptions}</select>
+                </div>
+                <div class="detail-score" style="color: ${getScoreColor(score)};">
+                    ${score}<span>${getScoreGrade(score)}</span>
+                </div>
+                <div class="controls">
+                    <button class="control-btn start-btn" onclick="saveSessionDetailScore()" ${changed ? '' : 'disabled'}>
+                        <i class="fas fa-save"></i> SAVE SCORE
+                    </button>
+                    <button class="control-btn export-btn" onclick="replaySessionDetail()">
+                        <i class="fas fa-play"></i> REPLAY
+                    </button>
+                </div>
+            </div>
+            <div style="overflow-x: auto;">
+                <table class="session-table dashboard-table">
+                    <thead><tr><th>Component</th><th>Score</th><th>Weight</th></tr></thead>
+                    <tbody>${componentRows}</tbody>
+                </table>
+            </div>
+            <div class="dashboard-chart">
+                <canvas id="detailChart"></canvas>
+            </div>
+        `;
+        groups = describeRollMetrics(detail.metrics, profile);
+    }
+
+    const metricGroups = groups.map(group => `
+        <div class="detail-group">
+            <div class="settings-subtitle">${group.title}</div>
+            ${group.items.map(([label, value]) => `
+                <div class="baseline-metric"><span>${label}</span>${value}</div>
+            `).join('')}
+        </div>
+    `).join('');
+
+    container.innerHTML = `
+        <div class="detail-header">
+            <div>
+                <strong>${date.toLocaleDateString()} ${date.toLocaleTimeString()}</strong>
+                <div class="baseline-status">
+                    ${athlete ? `${escapeHtml(athlete.name)} · ` : ''}${escapeHtml(session.profileName || 'Forward Roll')} ·
+                    saved score ${session.score} · ${session.source === 'armed' ? 'armed' : 'manual'} recording
+                    ${session.sampleCount ? ` · ${session.sampleCount} samples` : ''}
+                </div>
+            </div>
+            <button class="control-btn reset-btn" onclick="closeSessionDetail()" aria-label="Close session">
+                <i class="fas fa-times"></i>
+            </button>
+        </div>
+        ${analysis}
+        <div class="detail-groups">${metricGroups}</div>
+    `;
+    container.classList.remove('hidden');
+
+    drawSessionDetailChart();
+}
+
+/**
+ * Redraw the stored acceleration trace, raw and filtered
+ */
+function drawSessionDetailChart() {
+    if (AppState.charts.detail) {
+        AppState.charts.detail.destroy();
+        AppState.charts.detail = null;
+    }
+
+    const detail = AppState.sessionDetail;
+    const canvas = document.getElementById('detailChart');
+    if (!canvas || !detail || !detail.rawData || typeof Chart === 'undefined') return;
+
+    const data = detail.rawData;
+    const filtered = detail.metrics.filtered.magnitude;
+
+    AppState.charts.detail = new Chart(canvas.getContext('2d'), {
+        type: 'line',
+        data: {
+            datasets: [{
+                label: 'Acceleration',
+                data: data.map(d => ({ x: d.time / 1000, y: d.magnitude })),
+                borderColor: 'rgba(102, 126, 234, 0.5)',
+                backgroundColor: 'transparent',
+                borderWidth: 1,
+                pointRadius: 0
+            }, {
+                label: 'Filtered',
+                data: data.map((d, i) => ({ x: d.time / 1000, y: filtered[i] })),
+                borderColor: 'rgba(102, 126, 234, 1)',
+                backgroundColor: 'transparent',
+                borderWidth: 2,
+                pointRadius: 0,
+                tension: 0.3
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            scales: {
+                x: { type: 'linear', title: { display: true, text: 'Time (s)' } },
+                y: { title: { display: true, text: 'Acceleration (G)' }, suggestedMin: 0, suggestedMax: 2.5 }
+            },
+            plugins: {
+                legend: { display: true }
+            },
+            animation: { duration: 0 }
+        }
+    });
+}
+
+/**
+ * Re-score the open session with another profile
+ */
+function setSessionDetailProfile(profileId) {
+    const detail = AppState.sessionDetail;
+    if (!detail || !AppState.scoringProfiles[profileId]) return;
+
+    detail.profileId = profileId;
+    renderSessionDetail();
+}
+
+/**
+ * Keep the re-analysed score and roll type on the saved session
+ */
+function saveSessionDetailScore() {
+    const detail = AppState.sessionDetail;
+    if (!detail || !detail.metrics) return;
+
+    const { profile, score } = scoreSessionDetail(detail);
+    const session = detail.session;
+    const previous = session.score;
+
+    rescoreSession(session, detail.metrics, profile);
+    saveSessionHistory(session);
+    displaySessionHistory();
+    renderSessionDetail();
+
+    addLog('Sessions', `Re-scored session as ${profile.name}: ${previous} → ${score}`);
+    showNotification(`Session re-scored as ${profile.name}: ${score}`, 'success');
+}
+
+/**
+ * Load the open session into the analyzer's chart and orientation replay
+ */
+function replaySessionDetail() {
+    const detail = AppState.sessionDetail;
+    if (!detail || !detail.rawData) return;
+
+    const { profile, score } = scoreSessionDetail(detail);
+    AppState.accelerationData = detail.rawData;
+    AppState.rollPhases = detail.metrics.phases;
+
+    updateMetricsDisplay(detail.metrics);
+    updateScoreDisplay(score);
+    renderPhaseBreakdown(detail.metrics.phases, profile);
+    drawGraph();
+    loadReplay(detail.rawData, detail.metrics);
+
+    setMode('single');
+    addLog('Sessions', `Replaying session from ${new Date(detail.session.timestamp).toLocaleString()}`);
+}
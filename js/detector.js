@@ -0,0 +1,221 @@
+// Automatic Roll Detection - js/detector.js
+
+// Activity combines acceleration away from 1G with gyroscope energy:
+// |magnitude - 1| (G) + rotation rate / ARMED_GYRO_SCALE (deg/s)
+const ARMED_GYRO_SCALE = 360;       // deg/s counted as one unit of activity
+const ARMED_SMOOTHING = 0.3;        // EMA factor applied to activity
+const ARMED_START_THRESHOLD = 0.35; // activity that opens a roll
+const ARMED_START_SAMPLES = 3;      // consecutive samples above threshold
+const ARMED_END_THRESHOLD = 0.15;   // activity considered "still"
+const ARMED_QUIET_TIME = 600;       // ms of stillness that closes a roll
+const ARMED_TAIL = 200;             // ms of stillness kept after a roll
+const ARMED_PRE_ROLL = 500;         // ms kept from before the trigger
+const ARMED_MIN_DURATION = 600;     // ms - shorter bursts are ignored
+const ARMED_MAX_DURATION = 8000;    // ms - longer rolls are cut here
+const ARMED_COOLDOWN = 1000;        // ms after a roll before re-triggering
+
+/**
+ * Toggle armed mode from the ARM button
+ */
+function toggleArmed() {
+    if (AppState.armed.active) {
+        disarmRecording();
+    } else {
+        armRecording();
+    }
+}
+
+/**
+ * Listen continuously and record each roll automatically
+ */
+function armRecording() {
+    if (AppState.armed.active) return;
+    if (AppState.isRecording) {
+        showNotification('Stop the current recording before arming', 'warning');
+        return;
+    }
+
+    return requestMotionPermission().then(granted => {
+        if (!granted) return;
+
+        Object.assign(AppState.armed, {
+            active: true,
+            startTime: getTimestamp(),
+            buffer: [],
+            rollSamples: null,
+            rollStart: null,
+            quietSince: null,
+            lastRollEnd: -Infinity,
+            activity: 0,
+            triggerCount: 0,
+            rollCount: 0
+        });
+
+        window.addEventListener('devicemotion', handleArmedMotion);
+        window.addEventListener('deviceorientation', handleOrientationRecording);
+        updateArmedUI();
+
+        addLog('Armed', 'Automatic roll detection armed');
+        showNotification('Armed - roll whenever you are ready', 'success');
+    });
+}
+
+/**
+ * Stop listening for rolls
+ */
+function disarmRecording() {
+    const armed = AppState.armed;
+    if (!armed.active) return;
+
+    window.removeEventListener('devicemotion', handleArmedMotion);
+    window.removeEventListener('deviceorientation', handleOrientationRecording);
+    armed.active = false;
+    armed.buffer = [];
+    armed.rollSamples = null;
+    stopSonification();
+
+    updateArmedUI();
+    addLog('Armed', `Automatic detection stopped after ${armed.rollCount} roll(s)`);
+    showNotification(`Disarmed - ${armed.rollCount} roll(s) recorded`, 'info');
+}
+
+/**
+ * Feed one motion event through the roll detector
+ */
+function handleArmedMotion(event) {
+    const armed = AppState.armed;
+    if (!armed.active || !event.accelerationIncludingGravity) return;
+
+    const time = getEventTimestamp(event) - armed.startTime;
+    const sample = buildMotionSample(event, time);
+
+    const activity = calculateActivity(sample);
+    armed.activity = lerp(armed.activity, activity, ARMED_SMOOTHING);
+
+    if (armed.rollSamples) {
+        updateSonification(sample);
+        trackArmedRoll(sample);
+    } else {
+        watchForRollStart(sample);
+    }
+}
+
+/**
+ * Instantaneous movement activity for one sample
+ */
+function calculateActivity(sample) {
+    return Math.abs(sample.magnitude - 1) + sample.gyroMagnitude / ARMED_GYRO_SCALE;
+}
+
+/**
+ * Keep a short pre-roll buffer and open a roll when activity rises
+ */
+function watchForRollStart(sample) {
+    const armed = AppState.armed;
+
+    armed.buffer.push(sample);
+    while (armed.buffer.length > 0 && sample.time - armed.buffer[0].time > ARMED_PRE_ROLL) {
+        armed.buffer.shift();
+    }
+
+    const coolingDown = sample.time - armed.lastRollEnd < ARMED_COOLDOWN;
+    if (armed.activity > ARMED_START_THRESHOLD && !coolingDown) {
+        armed.triggerCount++;
+    } else {
+        armed.triggerCount = 0;
+    }
+
+    if (armed.triggerCount >= ARMED_START_SAMPLES) {
+        armed.rollSamples = armed.buffer.slice();
+        armed.rollStart = sample.time;
+        armed.quietSince = null;
+        armed.buffer = [];
+        armed.triggerCount = 0;
+
+        updateArmedUI();
+        playRollDetected();
+        startSonification();
+        addLog('Armed', 'Roll start detected');
+    }
+}
+
+/**
+ * Collect samples for the current roll and close it once things settle
+ */
+function trackArmedRoll(sample) {
+    const armed = AppState.armed;
+    armed.rollSamples.push(sample);
+
+    if (armed.activity < ARMED_END_THRESHOLD) {
+        if (armed.quietSince === null) armed.quietSince = sample.time;
+    } else {
+        armed.quietSince = null;
+    }
+
+    const settled = armed.quietSince !== null && sample.time - armed.quietSince >= ARMED_QUIET_TIME;
+    const tooLong = sample.time - armed.rollStart >= ARMED_MAX_DURATION;
+
+    if (settled || tooLong) {
+        const activeEnd = settled ? armed.quietSince : sample.time;
+        finishArmedRoll(activeEnd - armed.rollStart, settled ? activeEnd + ARMED_TAIL : sample.time);
+    }
+}
+
+/**
+ * Cut the detected roll out of the stream and analyze it as its own session
+ */
+function finishArmedRoll(activeDuration, endTime) {
+    const armed = AppState.armed;
+    const samples = armed.rollSamples.filter(s => s.time <= endTime);
+
+    armed.rollSamples = null;
+    armed.quietSince = null;
+    armed.lastRollEnd = endTime;
+    stopSonification();
+    updateArmedUI();
+
+    if (activeDuration < ARMED_MIN_DURATION) {
+        addLog('Armed', `Ignored ${Math.round(activeDuration)}ms burst (too short for a roll)`);
+        return;
+    }
+
+    const duration = samples[samples.length - 1].time - samples[0].time;
+
+    // Rebase so the roll starts at t = 0 like a manual recording
+    const origin = samples[0].time;
+    AppState.accelerationData = prepareRecording(samples.map(s => ({ ...s, time: s.time - origin })));
+
+    armed.rollCount++;
+    addLog('Armed', `Roll ${armed.rollCount} segmented: ${(duration / 1000).toFixed(2)}s, ${samples.length} samples`);
+
+    analyzeRoll();
+    updateArmedUI();
+}
+
+/**
+ * Reflect armed state in the single-device panel
+ */
+function updateArmedUI() {
+    const armed = AppState.armed;
+    const armBtn = document.getElementById('armBtn');
+    const startBtn = document.querySelector('.start-btn');
+    const status = document.getElementById('status');
+
+    if (armBtn) {
+        armBtn.innerHTML = armed.active ?
+            '<i class="fas fa-power-off"></i> DISARM' :
+            '<i class="fas fa-crosshairs"></i> ARM';
+        armBtn.classList.toggle('armed', armed.active);
+    }
+
+    if (startBtn) startBtn.disabled = armed.active;
+
+    if (status && armed.active) {
+        const inRoll = !!armed.rollSamples;
+        status.textContent = inRoll ? 'Rolling' : `Armed · ${armed.rollCount}`;
+        status.className = `status-badge ${inRoll ? 'status-recording' : 'status-ready'}`;
+    } else if (status && !AppState.isRecording) {
+        status.textContent = 'Ready';
+        status.className = 'status-badge status-waiting';
+    }
+}
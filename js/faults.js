@@ -0,0 +1,457 @@
+// Fault Detection - js/faults.js
+//
+// Rules map metric patterns to named faults with a coaching cue. A rule fires
+// when all of its conditions hold; `rollTypes` limits it to some profiles.
+
+// Metrics rules can test, read from calculateRollMetrics() and the classifier features.
+// Positions and shares are measured over the segmented roll, never the whole recording.
+const FAULT_METRICS = {
+    peakForce: { label: 'Peak force', unit: 'G', get: ctx => ctx.metrics.peakForce },
+    rollTime: { label: 'Roll time', unit: 's', get: ctx => ctx.metrics.rollTime },
+    jerk: { label: 'Average jerk', unit: '', get: ctx => ctx.metrics.avgJerk },
+    smoothness: { label: 'Smoothness', unit: '%', get: ctx => ctx.metrics.smoothness },
+    totalRotation: {
+        label: 'Total rotation', unit: '°',
+        get: ctx => ctx.metrics.rotation ? ctx.metrics.rotation.totalRotation : null
+    },
+    velocityPeaks: {
+        label: 'Velocity peaks', unit: '',
+        get: ctx => ctx.metrics.smoothnessMeasures ? ctx.metrics.smoothnessMeasures.velocityPeaks : null
+    },
+    earlyPeak: {
+        label: 'Peak before contact', unit: 'G',
+        get: ctx => ctx.phases ? Math.max(ctx.phases.entry.peakForce, ctx.phases.rotation.peakForce) : null
+    },
+    impactPosition: {
+        label: 'Impact position in roll', unit: '%',
+        get: ctx => {
+            if (!ctx.phases) return null;
+            const start = ctx.phases.entry.start;
+            const duration = ctx.phases.recovery.end - start;
+            return duration > 0 ? (ctx.impactTime - start) / duration * 100 : null;
+        }
+    },
+    contactPeak: { label: 'Contact peak', unit: 'G', get: ctx => ctx.phases ? ctx.phases.contact.peakForce : null },
+    contactDuration: {
+        label: 'Contact duration', unit: 'ms',
+        get: ctx => ctx.phases ? ctx.phases.contact.duration * 1000 : null
+    },
+    contactJerk: { label: 'Contact jerk', unit: '', get: ctx => ctx.phases ? ctx.phases.contact.avgJerk : null },
+    sideShare: {
+        label: 'Sideways rotation share', unit: '%',
+        get: ctx => {
+            if (!ctx.features) return null;
+            const { pitchRotation, sideRotation, yawRotation } = ctx.features;
+            const total = Math.abs(pitchRotation) + sideRotation + yawRotation;
+            return total > 0 ? sideRotation / total * 100 : null;
+        }
+    }
+};
+
+const FAULT_OPERATORS = {
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b,
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b
+};
+
+const FAULT_SEVERITIES = {
+    error: { label: 'Safety', icon: 'fa-exclamation-circle' },
+    warning: { label: 'Technique', icon: 'fa-exclamation-triangle' },
+    info: { label: 'Polish', icon: 'fa-info-circle' }
+};
+
+const DEFAULT_FAULT_RULES = {
+    'head-contact': {
+        id: 'head-contact',
+        name: 'Head contact spike',
+        cue: 'Tuck your chin to your chest and land on the back of the shoulder, not the head.',
+        severity: 'error',
+        builtin: true,
+        enabled: true,
+        rollTypes: ['forward', 'backward'],
+        // The hardest hit lands early, while the body should still be turning over
+        conditions: [
+            { metric: 'impactPosition', op: '<', value: 35 },
+            { metric: 'peakForce', op: '>', value: 2.0 }
+        ]
+    },
+    'flat-back-slap': {
+        id: 'flat-back-slap',
+        name: 'Flat back slap',
+        cue: 'Keep your back rounded so it meets the mat one vertebra at a time.',
+        severity: 'error',
+        builtin: true,
+        enabled: true,
+        rollTypes: ['forward', 'backward', 'side'],
+        conditions: [
+            { metric: 'contactPeak', op: '>', value: 2.8 },
+            { metric: 'contactDuration', op: '<', value: 120 }
+        ]
+    },
+    'stalled-mid-roll': {
+        id: 'stalled-mid-roll',
+        name: 'Stalled mid-roll',
+        cue: 'Keep your momentum through the middle - push through instead of pausing on your back.',
+        severity: 'warning',
+        builtin: true,
+        enabled: true,
+        rollTypes: [],
+        conditions: [{ metric: 'velocityPeaks', op: '>=', value: 3 }]
+    },
+    'uneven-shoulder-entry': {
+        id: 'uneven-shoulder-entry',
+        name: 'Uneven shoulder entry',
+        cue: 'Square your hips and commit to one shoulder on entry - the roll drifted sideways.',
+        severity: 'warning',
+        builtin: true,
+        enabled: true,
+        rollTypes: ['forward', 'backward'],
+        conditions: [{ metric: 'sideShare', op: '>', value: 35 }]
+    },
+    'choppy-motion': {
+        id: 'choppy-motion',
+        name: 'Choppy motion',
+        cue: 'Slow down and blend the roll into one continuous movement.',
+        severity: 'info',
+        builtin: true,
+        enabled: true,
+        rollTypes: [],
+        conditions: [{ metric: 'smoothness', op: '<', value: 50 }]
+    }
+};
+
+/**
+ * Load rules (built-ins plus saved edits and custom ones)
+ */
+function loadFaultRules() {
+    AppState.faultRules = deepClone(DEFAULT_FAULT_RULES);
+
+    try {
+        const saved = JSON.parse(localStorage.getItem('rollFaultRules') || '{}');
+        Object.values(saved).forEach(rule => {
+            AppState.faultRules[rule.id] = rule;
+        });
+    } catch (error) {
+        addLog('Storage error', 'Failed to load fault rules');
+        console.error('Failed to load fault rules:', error);
+    }
+
+    if (!AppState.faultRules[AppState.selectedFaultRuleId]) {
+        AppState.selectedFaultRuleId = Object.keys(AppState.faultRules)[0];
+    }
+    renderFaultRuleEditor();
+}
+
+/**
+ * Persist rules that differ from the built-in defaults
+ */
+function saveFaultRules() {
+    const toSave = {};
+    Object.values(AppState.faultRules).forEach(rule => {
+        const builtin = DEFAULT_FAULT_RULES[rule.id];
+        if (!builtin || JSON.stringify(builtin) !== JSON.stringify(rule)) {
+            toSave[rule.id] = rule;
+        }
+    });
+
+    try {
+        localStorage.setItem('rollFaultRules', JSON.stringify(toSave));
+    } catch (error) {
+        addLog('Storage error', 'Failed to save fault rules');
+        console.error('Failed to save fault rules:', error);
+    }
+}
+
+/**
+ * What a saved session keeps of a detected fault
+ */
+function summarizeFault(fault) {
+    return {
+        id: fault.id,
+        name: fault.name,
+        cue: fault.cue,
+        severity: fault.severity
+    };
+}
+
+/**
+ * Run the enabled rules over a roll's metrics (see calculateRollMetrics)
+ */
+function detectFaults(metrics, classification, profileId = AppState.activeProfileId) {
+    const phases = {};
+    if (metrics.phases) {
+        metrics.phases.list.forEach(phase => { phases[phase.name] = phase; });
+    }
+
+    const context = {
+        metrics,
+        phases: metrics.phases ? phases : null,
+        impactTime: metrics.phases ? metrics.phases.impactTime : null,
+        features: classification ? classification.features : null
+    };
+
+    const faults = [];
+    Object.values(AppState.faultRules || DEFAULT_FAULT_RULES).forEach(rule => {
+        if (!rule.enabled || rule.conditions.length === 0) return;
+        if (rule.rollTypes.length > 0 && !rule.rollTypes.includes(profileId)) return;
+
+        const observed = [];
+        const fired = rule.conditions.every(condition => {
+            const meta = FAULT_METRICS[condition.metric];
+            const compare = FAULT_OPERATORS[condition.op];
+            const value = meta && compare ? meta.get(context) : null;
+            if (value === null || value === undefined || isNaN(value)) return false;
+
+            observed.push({ metric: condition.metric, value });
+            return compare(value, condition.value);
+        });
+
+        if (fired) {
+            faults.push({
+                id: rule.id,
+                name: rule.name,
+                cue: rule.cue,
+                severity: rule.severity,
+                observed
+            });
+        }
+    });
+
+    // Safety first, then technique, then polish
+    const order = Object.keys(FAULT_SEVERITIES);
+    return faults.sort((a, b) => order.indexOf(a.severity) - order.indexOf(b.severity));
+}
+
+/**
+ * Show detected faults under the score
+ */
+function renderFaultList(faults) {
+    const container = document.getElementById('faultList');
+    if (!container) return;
+
+    if (!faults) {
+        container.innerHTML = '';
+        return;
+    }
+
+    if (faults.length === 0) {
+        container.innerHTML = `
+            <div class="fault-item fault-none">
+                <i class="fas fa-check-circle"></i>
+                <div><strong>No faults detected</strong></div>
+            </div>
+        `;
+        return;
+    }
+
+    container.innerHTML = faults.map(fault => {
+        const severity = FAULT_SEVERITIES[fault.severity] || FAULT_SEVERITIES.info;
+        const evidence = (fault.observed || []).map(({ metric, value }) => {
+            const meta = FAULT_METRICS[metric];
+            return meta ? `${meta.label} ${formatNumber(value)}${meta.unit}` : '';
+        }).filter(Boolean).join(' · ');
+
+        return `
+            <div class="fault-item fault-${fault.severity}">
+                <i class="fas ${severity.icon}"></i>
+                <div>
+                    <strong>${escapeHtml(fault.name)}</strong>
+                    <div class="fault-cue">${escapeHtml(fault.cue)}</div>
+                    ${evidence ? `<div class="fault-evidence">${evidence}</div>` : ''}
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Select a rule in the editor
+ */
+function selectFaultRule(id) {
+    AppState.selectedFaultRuleId = id;
+    renderFaultRuleEditor();
+}
+
+/**
+ * Render the rule editor: a rule picker and a form for the selected rule
+ */
+function renderFaultRuleEditor() {
+    const container = document.getElementById('faultRuleEditor');
+    if (!container) return;
+
+    const rule = AppState.faultRules[AppState.selectedFaultRuleId];
+    if (!rule) {
+        container.innerHTML = '';
+        return;
+    }
+
+    const ruleOptions = Object.values(AppState.faultRules).map(r => `
+        <option value="${escapeHtml(r.id)}" ${r.id === rule.id ? 'selected' : ''}>
+            ${escapeHtml(r.name)}${r.enabled ? '' : ' (off)'}
+        </option>
+    `).join('');
+
+    const severityOptions = Object.keys(FAULT_SEVERITIES).map(key => `
+        <option value="${key}" ${key === rule.severity ? 'selected' : ''}>${FAULT_SEVERITIES[key].label}</option>
+    `).join('');
+
+    // Existing conditions plus one blank row for adding another
+    const conditionRows = rule.conditions.concat([{ metric: '', op: '>', value: '' }]).map((condition, index) => `
+        <div class="fault-condition" data-condition="${index}">
+            <select data-field="metric" aria-label="Metric">
+                <option value="" ${condition.metric ? '' : 'selected'}>${condition.metric ? 'Remove' : 'Add condition…'}</option>
+                ${Object.keys(FAULT_METRICS).map(key => `
+                    <option value="${key}" ${key === condition.metric ? 'selected' : ''}>
+                        ${FAULT_METRICS[key].label}${FAULT_METRICS[key].unit ? ` (${FAULT_METRICS[key].unit})` : ''}
+                    </option>
+                `).join('')}
+            </select>
+            <select data-field="op" aria-label="Comparison">
+                ${Object.keys(FAULT_OPERATORS).map(op => `
+                    <option value="${op}" ${op === condition.op ? 'selected' : ''}>${escapeHtml(op)}</option>
+                `).join('')}
+            </select>
+            <input type="number" step="any" data-field="value" value="${condition.value}" aria-label="Threshold">
+        </div>
+    `).join('');
+
+    const rollTypeChecks = Object.values(AppState.scoringProfiles || DEFAULT_SCORING_PROFILES).map(profile => `
+        <label>
+            <input type="checkbox" data-roll-type="${escapeHtml(profile.id)}" ${rule.rollTypes.includes(profile.id) ? 'checked' : ''}>
+            ${escapeHtml(profile.name)}
+        </label>
+    `).join('');
+
+    container.innerHTML = `
+        <div class="form-grid">
+            <div class="form-field">
+                <label for="faultRuleSelect">Rule</label>
+                <select id="faultRuleSelect" onchange="selectFaultRule(this.value)">${ruleOptions}</select>
+            </div>
+            <div class="form-field">
+                <label for="faultRuleName">Fault name</label>
+                <input type="text" id="faultRuleName" value="${escapeHtml(rule.name)}">
+            </div>
+            <div class="form-field">
+                <label for="faultRuleSeverity">Severity</label>
+                <select id="faultRuleSeverity">${severityOptions}</select>
+            </div>
+            <div class="form-field form-check">
+                <label>
+                    <input type="checkbox" id="faultRuleEnabled" ${rule.enabled ? 'checked' : ''}>
+                    Enabled
+                </label>
+            </div>
+        </div>
+        <div class="form-field">
+            <label for="faultRuleCue">Coaching cue</label>
+            <textarea id="faultRuleCue" rows="2">${escapeHtml(rule.cue)}</textarea>
+        </div>
+        <div class="settings-subtitle">Fires when all of these hold</div>
+        <div class="fault-conditions">${conditionRows}</div>
+        <div class="settings-subtitle">Roll types (none ticked = all)</div>
+        <div class="fault-roll-types">${rollTypeChecks}</div>
+        <div class="controls">
+            <button class="control-btn start-btn" onclick="saveFaultRuleFromEditor()">
+                <i class="fas fa-save"></i> SAVE
+            </button>
+            <button class="control-btn export-btn" onclick="createFaultRule()">
+                <i class="fas fa-plus"></i> NEW RULE
+            </button>
+            <button class="control-btn reset-btn" onclick="deleteFaultRule()">
+                <i class="fas ${rule.builtin ? 'fa-undo' : 'fa-trash'}"></i> ${rule.builtin ? 'RESTORE DEFAULT' : 'DELETE'}
+            </button>
+        </div>
+    `;
+}
+
+/**
+ * Read the editor form into the selected rule
+ */
+function saveFaultRuleFromEditor() {
+    const container = document.getElementById('faultRuleEditor');
+    const rule = AppState.faultRules[AppState.selectedFaultRuleId];
+    if (!container || !rule) return;
+
+    const name = document.getElementById('faultRuleName').value.trim();
+    const cue = document.getElementById('faultRuleCue').value.trim();
+
+    const conditions = [];
+    let valid = true;
+    container.querySelectorAll('[data-condition]').forEach(row => {
+        const metric = row.querySelector('[data-field="metric"]').value;
+        if (!metric) return;
+
+        const value = parseFloat(row.querySelector('[data-field="value"]').value);
+        if (isNaN(value)) {
+            valid = false;
+            return;
+        }
+        conditions.push({ metric, op: row.querySelector('[data-field="op"]').value, value });
+    });
+
+    if (!name || !cue || !valid || conditions.length === 0) {
+        showNotification('A rule needs a name, a cue and at least one condition with a number', 'warning');
+        return;
+    }
+
+    Object.assign(rule, {
+        name,
+        cue,
+        severity: document.getElementById('faultRuleSeverity').value,
+        enabled: document.getElementById('faultRuleEnabled').checked,
+        rollTypes: Array.from(container.querySelectorAll('[data-roll-type]'))
+            .filter(input => input.checked)
+            .map(input => input.dataset.rollType),
+        conditions
+    });
+
+    saveFaultRules();
+    renderFaultRuleEditor();
+
+    addLog('Faults', `Saved rule ${rule.name}`);
+    showNotification(`Rule "${rule.name}" saved`, 'success');
+}
+
+/**
+ * Add a custom rule and open it in the editor
+ */
+function createFaultRule() {
+    const rule = {
+        id: `custom-${generateId()}`,
+        name: 'New fault',
+        cue: 'Describe what the student should do differently.',
+        severity: 'warning',
+        builtin: false,
+        enabled: true,
+        rollTypes: [],
+        conditions: [{ metric: 'peakForce', op: '>', value: 3 }]
+    };
+
+    AppState.faultRules[rule.id] = rule;
+    AppState.selectedFaultRuleId = rule.id;
+    saveFaultRules();
+    renderFaultRuleEditor();
+}
+
+/**
+ * Delete a custom rule or restore a built-in one
+ */
+function deleteFaultRule() {
+    const rule = AppState.faultRules[AppState.selectedFaultRuleId];
+    if (!rule) return;
+
+    if (rule.builtin) {
+        AppState.faultRules[rule.id] = deepClone(DEFAULT_FAULT_RULES[rule.id]);
+        showNotification(`Restored default "${rule.name}" rule`, 'info');
+    } else {
+        delete AppState.faultRules[rule.id];
+        AppState.selectedFaultRuleId = Object.keys(AppState.faultRules)[0];
+        showNotification(`Deleted rule "${rule.name}"`, 'info');
+    }
+
+    saveFaultRules();
+    renderFaultRuleEditor();
+    addLog('Faults', `${rule.builtin ? 'Restored' : 'Deleted'} rule ${rule.name}`);
+}
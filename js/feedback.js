@@ -0,0 +1,261 @@
+// Audio & Haptic Feedback - js/feedback.js
+//
+// Tones (Web Audio) and vibration so students know what happened without
+// looking at the screen: countdown, roll detected, score band, and an
+// optional live tone whose pitch follows jerk.
+
+const DEFAULT_FEEDBACK_SETTINGS = {
+    sound: true,
+    haptics: true,
+    countdown: 3,    // beeps before a manual recording starts (0 = off)
+    sonify: false,   // live jerk-to-pitch tone while recording
+    volume: 0.5
+};
+
+const FEEDBACK_COUNTDOWN_TONE = 660;   // Hz
+const FEEDBACK_GO_TONE = 1320;         // Hz
+const FEEDBACK_DETECT_TONE = 990;      // Hz
+
+// Score bands: notes (Hz) played in order, and a vibration pattern (ms)
+const SCORE_FEEDBACK_BANDS = [
+    { min: 80, label: 'great', notes: [523, 659, 784], vibration: [80] },
+    { min: 60, label: 'okay', notes: [523, 523], vibration: [80, 80, 80] },
+    { min: 0, label: 'needs work', notes: [392, 262], vibration: [300, 100, 300] }
+];
+
+// Live sonification: jerk (G/s) mapped onto a pitch range
+const SONIFY_MIN_PITCH = 200;
+const SONIFY_MAX_PITCH = 1000;
+const SONIFY_MAX_JERK = 40;
+const SONIFY_SMOOTHING = 0.2;
+
+/**
+ * Load feedback settings from localStorage
+ */
+function loadFeedbackSettings() {
+    AppState.feedbackSettings = { ...DEFAULT_FEEDBACK_SETTINGS };
+
+    try {
+        const saved = localStorage.getItem('rollFeedbackSettings');
+        if (saved) Object.assign(AppState.feedbackSettings, JSON.parse(saved));
+    } catch (error) {
+        addLog('Storage error', 'Failed to load feedback settings');
+        console.error('Failed to load feedback settings:', error);
+    }
+
+    renderFeedbackSettings();
+}
+
+/**
+ * Fill the feedback settings form
+ */
+function renderFeedbackSettings() {
+    const settings = AppState.feedbackSettings;
+    const checks = { feedbackSound: settings.sound, feedbackHaptics: settings.haptics, feedbackSonify: settings.sonify };
+
+    Object.keys(checks).forEach(id => {
+        const element = document.getElementById(id);
+        if (element) element.checked = checks[id];
+    });
+
+    const countdown = document.getElementById('feedbackCountdown');
+    if (countdown) countdown.value = settings.countdown;
+
+    const volume = document.getElementById('feedbackVolume');
+    if (volume) volume.value = Math.round(settings.volume * 100);
+}
+
+/**
+ * Read the feedback form and save it
+ */
+function updateFeedbackSettings() {
+    AppState.feedbackSettings = {
+        sound: document.getElementById('feedbackSound').checked,
+        haptics: document.getElementById('feedbackHaptics').checked,
+        countdown: parseInt(document.getElementById('feedbackCountdown').value, 10) || 0,
+        sonify: document.getElementById('feedbackSonify').checked,
+        volume: clamp((parseFloat(document.getElementById('feedbackVolume').value) || 0) / 100, 0, 1)
+    };
+
+    try {
+        localStorage.setItem('rollFeedbackSettings', JSON.stringify(AppState.feedbackSettings));
+    } catch (error) {
+        addLog('Storage error', 'Failed to save feedback settings');
+        console.error('Failed to save feedback settings:', error);
+    }
+}
+
+/**
+ * Shared AudioContext, created on first use (needs a user gesture on most browsers)
+ */
+function getAudioContext() {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return null;
+
+    if (!AppState.audioContext) {
+        AppState.audioContext = new AudioContextClass();
+    }
+    if (AppState.audioContext.state === 'suspended') {
+        AppState.audioContext.resume();
+    }
+    return AppState.audioContext;
+}
+
+/**
+ * Play a short tone. `delay` and `duration` are in ms.
+ */
+function playTone(frequency, duration = 150, delay = 0, type = 'sine') {
+    if (!AppState.feedbackSettings.sound) return;
+
+    const ctx = getAudioContext();
+    if (!ctx) return;
+
+    const start = ctx.currentTime + delay / 1000;
+    const end = start + duration / 1000;
+    const oscillator = ctx.createOscillator();
+    const gain = ctx.createGain();
+
+    oscillator.type = type;
+    oscillator.frequency.value = frequency;
+
+    // Short attack and release to avoid clicks
+    gain.gain.setValueAtTime(0, start);
+    gain.gain.linearRampToValueAtTime(AppState.feedbackSettings.volume, start + 0.01);
+    gain.gain.setValueAtTime(AppState.feedbackSettings.volume, end - 0.02);
+    gain.gain.linearRampToValueAtTime(0, end);
+
+    oscillator.connect(gain);
+    gain.connect(ctx.destination);
+    oscillator.start(start);
+    oscillator.stop(end);
+}
+
+/**
+ * Vibrate with a pattern (ms) where supported
+ */
+function vibrate(pattern) {
+    if (!AppState.feedbackSettings.haptics || !navigator.vibrate) return;
+    navigator.vibrate(pattern);
+}
+
+/**
+ * Beep once a second, then a higher "go" tone. Resolves when it's time to start.
+ */
+function playCountdown(seconds = AppState.feedbackSettings.countdown) {
+    if (!(seconds > 0)) return Promise.resolve();
+
+    const status = document.getElementById('status');
+
+    return new Promise(resolve => {
+        let remaining = seconds;
+        const tick = () => {
+            if (remaining === 0) {
+                playTone(FEEDBACK_GO_TONE, 300);
+                vibrate(200);
+                resolve();
+                return;
+            }
+
+            if (status) {
+                status.textContent = `Starting in ${remaining}…`;
+                status.className = 'status-badge status-waiting';
+            }
+            playTone(FEEDBACK_COUNTDOWN_TONE, 120);
+            vibrate(50);
+            remaining--;
+            setTimeout(tick, 1000);
+        };
+        tick();
+    });
+}
+
+/**
+ * Cue that a roll has been picked up
+ */
+function playRollDetected() {
+    playTone(FEEDBACK_DETECT_TONE, 80);
+    playTone(FEEDBACK_DETECT_TONE, 80, 120);
+    vibrate(100);
+}
+
+/**
+ * Encode the score band as a short melody and vibration pattern
+ */
+function playScoreFeedback(score) {
+    const band = SCORE_FEEDBACK_BANDS.find(b => score >= b.min) || SCORE_FEEDBACK_BANDS[SCORE_FEEDBACK_BANDS.length - 1];
+
+    band.notes.forEach((note, i) => playTone(note, 180, i * 200, 'triangle'));
+    vibrate(band.vibration);
+    return band;
+}
+
+/**
+ * Start the live jerk tone for a recording
+ */
+function startSonification() {
+    stopSonification();
+    if (!AppState.feedbackSettings.sonify || !AppState.feedbackSettings.sound) return;
+
+    const ctx = getAudioContext();
+    if (!ctx) return;
+
+    const oscillator = ctx.createOscillator();
+    const gain = ctx.createGain();
+    oscillator.type = 'sawtooth';
+    oscillator.frequency.value = SONIFY_MIN_PITCH;
+    gain.gain.value = AppState.feedbackSettings.volume * 0.3;
+
+    oscillator.connect(gain);
+    gain.connect(ctx.destination);
+    oscillator.start();
+
+    AppState.sonification = { oscillator, gain, jerk: 0, lastSample: null };
+}
+
+/**
+ * Follow the latest sample's jerk with the tone's pitch
+ */
+function updateSonification(sample) {
+    const sonification = AppState.sonification;
+    if (!sonification) return;
+
+    const last = sonification.lastSample;
+    sonification.lastSample = sample;
+    if (!last) return;
+
+    const dt = (sample.time - last.time) / 1000;
+    if (dt <= 0) return;
+
+    const jerk = Math.abs(sample.magnitude - last.magnitude) / dt;
+    sonification.jerk = lerp(sonification.jerk, jerk, SONIFY_SMOOTHING);
+
+    const level = clamp(sonification.jerk / SONIFY_MAX_JERK, 0, 1);
+    const ctx = getAudioContext();
+    sonification.oscillator.frequency.setTargetAtTime(
+        SONIFY_MIN_PITCH + level * (SONIFY_MAX_PITCH - SONIFY_MIN_PITCH), ctx.currentTime, 0.03);
+}
+
+/**
+ * Silence the live jerk tone
+ */
+function stopSonification() {
+    const sonification = AppState.sonification;
+    if (!sonification) return;
+
+    try {
+        sonification.oscillator.stop();
+        sonification.oscillator.disconnect();
+        sonification.gain.disconnect();
+    } catch (error) {
+        console.error('Failed to stop sonification:', error);
+    }
+    AppState.sonification = null;
+}
+
+/**
+ * Play every cue once so the user can check volume and vibration
+ */
+function testFeedback() {
+    playRollDetected();
+    setTimeout(() => playScoreFeedback(90), 500);
+}
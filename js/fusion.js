@@ -0,0 +1,215 @@
+// Sensor Fusion - js/fusion.js
+//
+// Madgwick IMU filter: fuses gyroscope and accelerometer samples into a
+// quaternion orientation that does not gimbal-lock during a roll.
+// Quaternions are [w, x, y, z] and rotate the earth frame into the sensor frame.
+
+const FUSION_BETA = 0.1;            // accelerometer correction gain
+const FUSION_ACCEL_TOLERANCE = 0.3; // G - skip correction when |a| is this far from 1G
+
+/**
+ * Create a Madgwick filter instance
+ */
+function createMadgwickFilter(beta = FUSION_BETA) {
+    const filter = {
+        q: [1, 0, 0, 0],
+        initialized: false,
+
+        /**
+         * Start from the tilt implied by gravity (yaw is arbitrary)
+         */
+        initFromAccel(ax, ay, az) {
+            const roll = Math.atan2(ay, az);
+            const pitch = Math.atan2(-ax, Math.sqrt(ay * ay + az * az));
+            filter.q = eulerToQuaternion(roll, pitch, 0);
+            filter.initialized = true;
+        },
+
+        /**
+         * Advance the filter: gyro in rad/s, accel in any unit, dt in seconds
+         */
+        update(gx, gy, gz, ax, ay, az, dt) {
+            if (!filter.initialized) {
+                filter.initFromAccel(ax, ay, az);
+                return filter.q;
+            }
+
+            let [q0, q1, q2, q3] = filter.q;
+
+            // Rate of change of quaternion from gyroscope
+            let qDot0 = 0.5 * (-q1 * gx - q2 * gy - q3 * gz);
+            let qDot1 = 0.5 * (q0 * gx + q2 * gz - q3 * gy);
+            let qDot2 = 0.5 * (q0 * gy - q1 * gz + q3 * gx);
+            let qDot3 = 0.5 * (q0 * gz + q1 * gy - q2 * gx);
+
+            const accelNorm = Math.sqrt(ax * ax + ay * ay + az * az);
+            const isFreeOfImpact = accelNorm > 0 &&
+                Math.abs(accelNorm / filter.gravity - 1) < FUSION_ACCEL_TOLERANCE;
+
+            // Gradient-descent correction towards measured gravity, only while
+            // the accelerometer is not dominated by impact or centripetal forces
+            if (isFreeOfImpact) {
+                ax /= accelNorm;
+                ay /= accelNorm;
+                az /= accelNorm;
+
+                const _2q0 = 2 * q0;
+                const _2q1 = 2 * q1;
+                const _2q2 = 2 * q2;
+                const _2q3 = 2 * q3;
+                const _4q0 = 4 * q0;
+                const _4q1 = 4 * q1;
+                const _4q2 = 4 * q2;
+                const _8q1 = 8 * q1;
+                const _8q2 = 8 * q2;
+                const q0q0 = q0 * q0;
+                const q1q1 = q1 * q1;
+                const q2q2 = q2 * q2;
+                const q3q3 = q3 * q3;
+
+                let s0 = _4q0 * q2q2 + _2q2 * ax + _4q0 * q1q1 - _2q1 * ay;
+                let s1 = _4q1 * q3q3 - _2q3 * ax + 4 * q0q0 * q1 - _2q0 * ay - _4q1 + _8q1 * q1q1 + _8q1 * q2q2 + _4q1 * az;
+                let s2 = 4 * q0q0 * q2 + _2q0 * ax + _4q2 * q3q3 - _2q3 * ay - _4q2 + _8q2 * q1q1 + _8q2 * q2q2 + _4q2 * az;
+                let s3 = 4 * q1q1 * q3 - _2q1 * ax + 4 * q2q2 * q3 - _2q2 * ay;
+
+                const sNorm = Math.sqrt(s0 * s0 + s1 * s1 + s2 * s2 + s3 * s3);
+                if (sNorm > 0) {
+                    s0 /= sNorm;
+                    s1 /= sNorm;
+                    s2 /= sNorm;
+                    s3 /= sNorm;
+
+                    qDot0 -= filter.beta * s0;
+                    qDot1 -= filter.beta * s1;
+                    qDot2 -= filter.beta * s2;
+                    qDot3 -= filter.beta * s3;
+                }
+            }
+
+            // Integrate and normalise
+            q0 += qDot0 * dt;
+            q1 += qDot1 * dt;
+            q2 += qDot2 * dt;
+            q3 += qDot3 * dt;
+
+            const qNorm = Math.sqrt(q0 * q0 + q1 * q1 + q2 * q2 + q3 * q3);
+            filter.q = [q0 / qNorm, q1 / qNorm, q2 / qNorm, q3 / qNorm];
+            return filter.q;
+        },
+
+        reset() {
+            filter.q = [1, 0, 0, 0];
+            filter.initialized = false;
+        },
+
+        beta,
+        gravity: 1 // magnitude of gravity in the accelerometer's units
+    };
+
+    return filter;
+}
+
+/**
+ * Build a quaternion from roll/pitch/yaw in radians (ZYX order)
+ */
+function eulerToQuaternion(roll, pitch, yaw) {
+    const cr = Math.cos(roll / 2);
+    const sr = Math.sin(roll / 2);
+    const cp = Math.cos(pitch / 2);
+    const sp = Math.sin(pitch / 2);
+    const cy = Math.cos(yaw / 2);
+    const sy = Math.sin(yaw / 2);
+
+    return [
+        cr * cp * cy + sr * sp * sy,
+        sr * cp * cy - cr * sp * sy,
+        cr * sp * cy + sr * cp * sy,
+        cr * cp * sy - sr * sp * cy
+    ];
+}
+
+/**
+ * Convert a quaternion to roll/pitch/yaw in degrees
+ */
+function quaternionToEuler(q) {
+    const [q0, q1, q2, q3] = q;
+
+    return {
+        roll: radToDeg(Math.atan2(2 * (q0 * q1 + q2 * q3), 1 - 2 * (q1 * q1 + q2 * q2))),
+        pitch: radToDeg(Math.asin(clamp(2 * (q0 * q2 - q3 * q1), -1, 1))),
+        yaw: radToDeg(Math.atan2(2 * (q0 * q3 + q1 * q2), 1 - 2 * (q2 * q2 + q3 * q3)))
+    };
+}
+
+/**
+ * Direction of gravity in the sensor frame (unit vector) for orientation q
+ */
+function gravityInSensorFrame(q) {
+    const [q0, q1, q2, q3] = q;
+
+    return {
+        x: 2 * (q1 * q3 - q0 * q2),
+        y: 2 * (q0 * q1 + q2 * q3),
+        z: q0 * q0 - q1 * q1 - q2 * q2 + q3 * q3
+    };
+}
+
+/**
+ * Angle in degrees between two orientations
+ */
+function quaternionAngle(a, b) {
+    const dot = Math.abs(a[0] * b[0] + a[1] * b[1] + a[2] * b[2] + a[3] * b[3]);
+    return radToDeg(2 * Math.acos(clamp(dot, -1, 1)));
+}
+
+/**
+ * Run recorded samples (accel in G, gyro in deg/s) through the filter.
+ * Returns one entry per sample with orientation and gravity-free acceleration.
+ */
+function computeOrientationTrack(samples, beta = FUSION_BETA) {
+    if (!samples || samples.length === 0) return [];
+
+    const filter = createMadgwickFilter(beta);
+    const track = [];
+
+    samples.forEach((sample, i) => {
+        const dt = i > 0 ? Math.max(0, (sample.time - samples[i - 1].time) / 1000) : 0;
+        const q = filter.update(
+            degToRad(sample.gx || 0),
+            degToRad(sample.gy || 0),
+            degToRad(sample.gz || 0),
+            sample.x, sample.y, sample.z,
+            dt
+        );
+
+        const gravity = gravityInSensorFrame(q);
+        const linear = {
+            x: sample.x - gravity.x,
+            y: sample.y - gravity.y,
+            z: sample.z - gravity.z
+        };
+
+        track.push({
+            time: sample.time,
+            q: q.slice(),
+            ...quaternionToEuler(q),
+            linear,
+            linearMagnitude: magnitude3D(linear)
+        });
+    });
+
+    return track;
+}
+
+/**
+ * Summarize an orientation track for roll analysis
+ */
+function summarizeOrientationTrack(track) {
+    if (!track || track.length < 2) return null;
+
+    return {
+        peakLinearAcceleration: Math.max(...track.map(t => t.linearMagnitude)),
+        avgLinearAcceleration: track.reduce((sum, t) => sum + t.linearMagnitude, 0) / track.length,
+        netRotation: quaternionAngle(track[0].q, track[track.length - 1].q)
+    };
+}
@@ -151,12 +151,21 @@ function initializeNavigation() {
         { selector: '.start-btn[onclick="startRecording()"]', handler: startRecording },
         { selector: '.stop-btn[onclick="stopRecording()"]', handler: stopRecording },
         { selector: '.reset-btn[onclick="resetData()"]', handler: resetData },
+        { selector: '.arm-btn[onclick="toggleArmed()"]', handler: toggleArmed },
         { selector: '.start-btn[onclick="startMultiRecording()"]', handler: startMultiRecording },
         { selector: '.stop-btn[onclick="stopMultiRecording()"]', handler: stopMultiRecording },
         { selector: '.reset-btn[onclick="generateRoom()"]', handler: generateRoom },
+        { selector: '.start-btn[onclick="hostRoom()"]', handler: hostRoom },
+        { selector: '.export-btn[onclick="joinRoom()"]', handler: joinRoom },
+        { selector: '.reset-btn[onclick="leaveRoom()"]', handler: leaveRoom },
         { selector: '.start-btn[onclick="startSensorMonitoring()"]', handler: startSensorMonitoring },
         { selector: '.stop-btn[onclick="stopSensorMonitoring()"]', handler: stopSensorMonitoring },
         { selector: '.reset-btn[onclick="resetSensorData()"]', handler: resetSensorData },
+        { selector: '.start-btn[onclick="captureCalibrationStep()"]', handler: captureCalibrationStep },
+        { selector: '.reset-btn[onclick="clearSensorCalibration()"]', handler: clearSensorCalibration },
+        { selector: '.reset-btn[onclick="clearReferenceTemplate()"]', handler: clearReferenceTemplate },
+        { selector: '.export-btn[onclick="testFeedback()"]', handler: testFeedback },
+        { selector: '.export-btn[onclick="testSpeech()"]', handler: testSpeech },
         { selector: '.reset-btn[onclick="clearLogs()"]', handler: clearLogs },
         { selector: '.export-btn[onclick="exportLogs()"]', handler: exportLogs }
     ];
@@ -214,15 +223,105 @@ const AppState = {
     set roomCode(value) {
         this._roomCode = value;
     },
+    armed: {
+        active: false,
+        startTime: null,
+        buffer: [],
+        rollSamples: null,
+        rollStart: null,
+        quietSince: null,
+        lastRollEnd: -Infinity,
+        activity: 0,
+        triggerCount: 0,
+        rollCount: 0
+    },
+    replay: {
+        track: null,
+        data: null,
+        time: 0,
+        duration: 0,
+        speed: 1,
+        playing: false,
+        frameId: null,
+        lastFrame: null,
+        impactTime: 0,
+        impactIndex: 0
+    },
+    scoringProfiles: null,
+    activeProfileId: 'forward',
+    athletes: {},
+    activeAthleteId: '',
+    baseline: null,
+    sensorCalibration: null,
+    filterSettings: null,
+    samplingReport: null,
+    lastSpectrogramDraw: 0,
+    rollPhases: null,
+    referenceTemplate: null,
+    templateMatch: null,
+    autoClassify: true,
+    classifier: null,
+    faultRules: null,
+    feedbackSettings: null,
+    audioContext: null,
+    sonification: null,
+    speechSettings: null,
+    countingDown: false,
+    rollCueGiven: false,
+    selectedFaultRuleId: null,
+    calibration: {
+        active: false,
+        mode: null,
+        step: 0,
+        capturing: false,
+        captureStart: null,
+        samples: [],
+        captures: []
+    },
     connectedDevices: 1,
+    sync: {
+        transport: null,
+        connected: false,
+        isHost: false,
+        room: null,
+        deviceId: null,
+        segment: 'hip',
+        hostId: null,
+        peers: {},
+        streams: {},
+        clockOffset: 0,
+        clockRtt: null,
+        clockSpread: null,
+        clockSamples: null,
+        clockTimer: null,
+        startAt: null,
+        aligned: null,
+        analysis: null,
+        sessionActive: false
+    },
     sessionHistory: [],
+    sessionDb: null,
+    historyQuery: { page: 0, profileId: '', athleteId: '' },
+    storageWarningShown: false,
+    dashboardMetric: 'score',
+    sessionDetail: null,
+    compareSelection: [],
+    comparison: null,
     systemLogs: [],
     sensorData: [],
     isSensorMonitoring: false,
     sensorGraphs: {},
     previousAcceleration: { x: 0, y: 0, z: 0, timestamp: 0 },
+    latestOrientation: { alpha: 0, beta: 0, gamma: 0 },
+    sensorFusion: null,
+    previousFusionTime: 0,
     charts: {  // Add this
-        acceleration: null
+        acceleration: null,
+        multi: null,
+        template: null,
+        dashboard: null,
+        detail: null,
+        compare: null
     }
 };
 // Application initialization
@@ -258,6 +357,9 @@ function initializeApplication() {
 
     // Setup permission handling
     setupPermissions();
+
+    // Prepare the multi-device room form
+    initSyncUI();
 }
 
 /**
@@ -280,7 +382,22 @@ function setupEventListeners() {
  * Load saved application data
  */
 function loadSavedData() {
-    loadSessionHistory();
+    loadSensorCalibration();
+    loadFilterSettings();
+    loadFeedbackSettings();
+    loadSpeechSettings();
+    loadScoringProfiles();
+    loadClassifierSettings();
+    loadFaultRules();
+    loadAthletes();
+    loadPersonalBaseline();
+    loadReferenceTemplate();
+    loadSessionHistory().then(() => {
+        trainRollClassifier();
+        // Session counts were rendered before the history arrived
+        renderAthleteEditor();
+        if (AppState.currentMode === 'coach') displaySessionHistory();
+    });
     // Assuming loadSystemLogs and loadUserPreferences exist and are correct
     // loadSystemLogs();
     // loadUserPreferences();
@@ -342,7 +459,6 @@ function saveApplicationState() {
     try {
         const state = {
             currentMode: AppState.currentMode,
-            sessionHistory: AppState.sessionHistory,
             systemLogs: AppState.systemLogs
         };
         localStorage.setItem('rollAnalyzerState', JSON.stringify(state));
@@ -375,6 +491,7 @@ function handleResize() {
     if (AppState.accelerationData.length > 0) {
         drawGraph();
     }
+    renderReplayFrame();
     addLog('System', 'Window resized, re-initializing canvases.');
 }
 
@@ -400,6 +517,10 @@ function handleVisibilityChange() {
             stopRecording();
             showNotification('Recording paused due to app backgrounding.', 'warning');
         }
+        if (AppState.armed.active) {
+            disarmRecording();
+            showNotification('Automatic detection stopped due to app backgrounding.', 'warning');
+        }
         if (AppState.isSensorMonitoring) {
             stopSensorMonitoring();
             showNotification('Sensor monitoring paused due to app backgrounding.', 'warning');
@@ -478,26 +599,3 @@ function setMode(mode) {
 
     addLog('UI', `Switched to ${mode} mode`);
 }
-
-function startMultiRecording() {
-    if (AppState.isRecording) return;
-    showNotification('Starting synchronized recording...', 'info');
-    startRecording();
-    addLog('Multi-device', `Started synchronized recording for room: ${AppState.roomCode}`);
-}
-
-function stopMultiRecording() {
-    if (!AppState.isRecording) return;
-    stopRecording();
-    addLog('Multi-device', 'Stopped synchronized recording');
-}
-
-function generateRoom() {
-    AppState.roomCode = generateRoomCode();
-    const roomCodeElement = document.getElementById('roomCode');
-    if (roomCodeElement) {
-        roomCodeElement.textContent = AppState.roomCode;
-    }
-    showNotification(`New room code: ${AppState.roomCode}`, 'success');
-    addLog('Multi-device', `Generated new room code: ${AppState.roomCode}`);
-}
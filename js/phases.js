@@ -0,0 +1,210 @@
+// Roll Phase Segmentation - js/phases.js
+//
+// Splits a roll into entry, rotation, contact and recovery:
+//   entry    - movement starts, before the body is really turning
+//   rotation - turning over, up to first mat contact
+//   contact  - the impact region around the biggest force peak
+//   recovery - after contact until the body settles
+
+const PHASE_ONSET_THRESHOLD = 0.15;     // activity that counts as moving
+const PHASE_ROTATION_THRESHOLD = 60;    // deg/s - turning in earnest
+const PHASE_ROTATION_ACTIVITY = 0.3;    // activity used instead without a gyroscope
+const PHASE_CONTACT_THRESHOLD = 1.3;    // G - force around the impact counted as contact
+const PHASE_SETTLE_TIME = 300;          // ms of stillness that ends recovery
+const PHASE_CONTACT_DURATION = { min: 100, max: 400 }; // ms - a soft, spread-out landing
+
+const ROLL_PHASES = {
+    entry: { label: 'Entry', color: 'rgba(33, 150, 243, 0.12)' },
+    rotation: { label: 'Rotation', color: 'rgba(156, 39, 176, 0.12)' },
+    contact: { label: 'Contact', color: 'rgba(244, 67, 54, 0.18)' },
+    recovery: { label: 'Recovery', color: 'rgba(76, 175, 80, 0.12)' }
+};
+
+/**
+ * Shade phase boundaries behind the acceleration trace
+ */
+const phaseShadingPlugin = {
+    id: 'phaseShading',
+    beforeDatasetsDraw(chart) {
+        const phases = AppState.rollPhases;
+        if (!phases || chart !== AppState.charts.acceleration) return;
+
+        const { ctx, chartArea, scales } = chart;
+        ctx.save();
+        phases.list.forEach(phase => {
+            const left = clamp(scales.x.getPixelForValue(phase.start / 1000), chartArea.left, chartArea.right);
+            const right = clamp(scales.x.getPixelForValue(phase.end / 1000), chartArea.left, chartArea.right);
+            if (right <= left) return;
+
+            ctx.fillStyle = ROLL_PHASES[phase.name].color;
+            ctx.fillRect(left, chartArea.top, right - left, chartArea.bottom - chartArea.top);
+
+            ctx.fillStyle = '#666';
+            ctx.font = '10px Inter, sans-serif';
+            ctx.fillText(ROLL_PHASES[phase.name].label, left + 3, chartArea.top + 12);
+        });
+        ctx.restore();
+    }
+};
+
+if (typeof Chart !== 'undefined') {
+    Chart.register(phaseShadingPlugin);
+}
+
+/**
+ * Segment a roll into phases (see filterRollSignal for `filtered`)
+ */
+function segmentRollPhases(data, filtered) {
+    if (!data || data.length < 10) return null;
+
+    const magnitude = filtered.magnitude;
+    const hasGyro = data.some(d => d.gyroMagnitude > 0);
+    const activity = data.map((d, i) =>
+        Math.abs(magnitude[i] - 1) + (d.gyroMagnitude || 0) / ARMED_GYRO_SCALE);
+    const last = data.length - 1;
+
+    // Impact: the largest filtered force, so contact is grown on the same
+    // signal and a single-sample spike can't leave it with zero duration
+    const impact = magnitude.reduce((best, value, i) => value > magnitude[best] ? i : best, 0);
+
+    // Contact: contiguous high-force region around the impact
+    let contactStart = impact;
+    let contactEnd = impact;
+    while (contactStart > 0 && magnitude[contactStart - 1] >= PHASE_CONTACT_THRESHOLD) contactStart--;
+    while (contactEnd < last && magnitude[contactEnd + 1] >= PHASE_CONTACT_THRESHOLD) contactEnd++;
+
+    // Entry starts when movement does
+    let onset = activity.findIndex(value => value > PHASE_ONSET_THRESHOLD);
+    if (onset < 0 || onset > contactStart) onset = 0;
+
+    // Rotation starts when the body really turns (or moves hard, without a gyro)
+    let rotationStart = data.findIndex((d, i) => i >= onset && (hasGyro ?
+        d.gyroMagnitude > PHASE_ROTATION_THRESHOLD :
+        activity[i] > PHASE_ROTATION_ACTIVITY));
+    if (rotationStart < 0 || rotationStart > contactStart) rotationStart = onset;
+
+    // Recovery ends once activity stays low for a while
+    let recoveryEnd = last;
+    let quietSince = null;
+    for (let i = contactEnd + 1; i <= last; i++) {
+        if (activity[i] < PHASE_ONSET_THRESHOLD) {
+            if (quietSince === null) quietSince = i;
+            if (data[i].time - data[quietSince].time >= PHASE_SETTLE_TIME) {
+                recoveryEnd = quietSince;
+                break;
+            }
+        } else {
+            quietSince = null;
+        }
+    }
+
+    const bounds = [
+        ['entry', onset, rotationStart],
+        ['rotation', rotationStart, contactStart],
+        ['contact', contactStart, contactEnd],
+        ['recovery', contactEnd, Math.max(contactEnd, recoveryEnd)]
+    ];
+
+    const list = bounds.map(([name, start, end]) => summarizePhase(name, data, magnitude, start, end));
+
+    return {
+        list,
+        impactIndex: impact,
+        impactTime: data[impact].time
+    };
+}
+
+/**
+ * Duration, peak force and jerk for one phase
+ */
+function summarizePhase(name, data, magnitude, start, end) {
+    let peakForce = 0;
+    let totalJerk = 0;
+    let jerkCount = 0;
+
+    for (let i = start; i <= end; i++) {
+        peakForce = Math.max(peakForce, data[i].magnitude);
+        if (i > start) {
+            const dt = (data[i].time - data[i - 1].time) / 1000;
+            if (dt > 0) {
+                totalJerk += Math.abs(magnitude[i] - magnitude[i - 1]) / dt;
+                jerkCount++;
+            }
+        }
+    }
+
+    return {
+        name,
+        start: data[start].time,
+        end: data[end].time,
+        duration: (data[end].time - data[start].time) / 1000,
+        peakForce,
+        avgJerk: jerkCount > 0 ? totalJerk / jerkCount : 0
+    };
+}
+
+/**
+ * Contact score of a segmented roll for a profile (null without phases).
+ * Kept out of segmentRollPhases so one analysis can be scored as any roll type.
+ */
+function scoreRollContact(phases, profile = getActiveProfile()) {
+    if (!phases) return null;
+    return calculateContactScore(phases.list.find(phase => phase.name === 'contact'), profile);
+}
+
+/**
+ * Score the landing: force in the profile's range, spread over time, low jerk
+ */
+function calculateContactScore(contact, profile) {
+    if (!contact) return null;
+
+    const forceScore = calculatePeakScore(contact.peakForce, profile.ranges.peakForce);
+
+    const durationMs = contact.duration * 1000;
+    let durationScore = 100;
+    if (durationMs < PHASE_CONTACT_DURATION.min) {
+        // Sharp slam
+        durationScore = Math.max(0, 100 - (PHASE_CONTACT_DURATION.min - durationMs) * 0.8);
+    } else if (durationMs > PHASE_CONTACT_DURATION.max) {
+        // Thud - body stays loaded too long
+        durationScore = Math.max(0, 100 - (durationMs - PHASE_CONTACT_DURATION.max) * 0.2);
+    }
+
+    const jerkScore = clamp(100 * (1 - contact.avgJerk / 50), 0, 100);
+
+    return Math.round(forceScore * 0.4 + durationScore * 0.3 + jerkScore * 0.3);
+}
+
+/**
+ * Show the per-phase breakdown below the chart
+ */
+function renderPhaseBreakdown(phases, profile = getActiveProfile()) {
+    const container = document.getElementById('phaseBreakdown');
+    if (!container) return;
+
+    if (!phases) {
+        container.innerHTML = '';
+        return;
+    }
+
+    const cards = phases.list.map(phase => `
+        <div class="phase-card phase-${phase.name}">
+            <div class="phase-title">${ROLL_PHASES[phase.name].label}</div>
+            <div><span>Duration</span>${phase.duration.toFixed(2)}s</div>
+            <div><span>Peak</span>${phase.peakForce.toFixed(2)}G</div>
+            <div><span>Jerk</span>${phase.avgJerk.toFixed(1)}</div>
+        </div>
+    `).join('');
+
+    const contactScore = scoreRollContact(phases, profile);
+    container.innerHTML = `
+        ${cards}
+        <div class="phase-card phase-score">
+            <div class="phase-title">Contact Score</div>
+            <div class="phase-score-value" style="color: ${getScoreColor(contactScore)};">
+                ${contactScore}
+            </div>
+            <div><span>Impact at</span>${(phases.impactTime / 1000).toFixed(2)}s</div>
+        </div>
+    `;
+}
@@ -0,0 +1,248 @@
+// Signal Preprocessing - js/preprocess.js
+
+const SAMPLING_MIN_RATE = 30;    // Hz - below this jerk and timing get unreliable
+const SAMPLING_GAP_FACTOR = 2.5; // an interval this many times the median is a gap
+const FILTER_NYQUIST_SHARE = 0.9; // highest usable cutoff, as a share of the Nyquist frequency
+
+const DEFAULT_FILTER_SETTINGS = {
+    resampleRate: 100,   // Hz uniform grid for recordings (0 = keep device timing)
+    spikeWindow: 3,      // samples in the median filter (0 = off)
+    lowPassCutoff: 12,   // Hz (0 = off)
+    highPassCutoff: 0,   // Hz (0 = off)
+    order: 4,
+    zeroPhase: true
+};
+
+/**
+ * Load filter settings from localStorage
+ */
+function loadFilterSettings() {
+    AppState.filterSettings = { ...DEFAULT_FILTER_SETTINGS };
+
+    try {
+        const saved = localStorage.getItem('rollFilterSettings');
+        if (saved) Object.assign(AppState.filterSettings, JSON.parse(saved));
+    } catch (error) {
+        addLog('Storage error', 'Failed to load filter settings');
+        console.error('Failed to load filter settings:', error);
+    }
+
+    renderFilterSettings();
+}
+
+/**
+ * Interval statistics for time-stamped samples: rate, jitter and dropped-sample gaps
+ */
+function analyzeSampleTiming(samples) {
+    if (!samples || samples.length < 2) return null;
+
+    const intervals = [];
+    for (let i = 1; i < samples.length; i++) {
+        intervals.push(samples[i].time - samples[i - 1].time);
+    }
+
+    const sorted = intervals.slice().sort((a, b) => a - b);
+    const medianInterval = sorted[Math.floor(sorted.length / 2)];
+    const stats = calculateStats(intervals);
+    const duration = samples[samples.length - 1].time - samples[0].time;
+
+    const gaps = [];
+    if (medianInterval > 0) {
+        intervals.forEach((interval, i) => {
+            if (interval > medianInterval * SAMPLING_GAP_FACTOR) {
+                gaps.push({
+                    time: samples[i].time,
+                    duration: interval,
+                    missing: Math.round(interval / medianInterval) - 1
+                });
+            }
+        });
+    }
+
+    return {
+        count: samples.length,
+        duration,
+        meanRate: duration > 0 ? (samples.length - 1) / (duration / 1000) : 0,
+        medianInterval,
+        jitter: stats.std,
+        minInterval: stats.min,
+        maxInterval: stats.max,
+        gaps,
+        droppedSamples: gaps.reduce((sum, gap) => sum + gap.missing, 0)
+    };
+}
+
+/**
+ * Interpolate samples onto a uniform grid at `rate` Hz
+ */
+function resampleUniform(samples, rate) {
+    if (!samples || samples.length < 2 || !(rate > 0)) return samples;
+
+    const step = 1000 / rate;
+    const start = samples[0].time;
+    const end = samples[samples.length - 1].time;
+    const timeline = [];
+    for (let time = start; time <= end; time += step) {
+        timeline.push(time);
+    }
+
+    return resampleToTimeline(samples, timeline);
+}
+
+/**
+ * Check a finished recording's timing and put it on the uniform grid
+ */
+function prepareRecording(samples, settings = AppState.filterSettings) {
+    const timing = analyzeSampleTiming(samples);
+    if (!timing) return samples;
+
+    const rate = settings ? settings.resampleRate : DEFAULT_FILTER_SETTINGS.resampleRate;
+    AppState.samplingReport = { ...timing, resampleRate: rate };
+
+    if (timing.meanRate < SAMPLING_MIN_RATE) {
+        addLog('Sampling', `Device delivered only ${timing.meanRate.toFixed(1)}Hz (minimum ${SAMPLING_MIN_RATE}Hz)`);
+        showNotification(`Sensor rate is low (${Math.round(timing.meanRate)}Hz) - results may be unreliable`, 'warning');
+    }
+
+    if (timing.gaps.length > 0) {
+        addLog('Sampling', `${timing.gaps.length} gap(s), ~${timing.droppedSamples} dropped samples, longest ${Math.round(timing.maxInterval)}ms`);
+    }
+
+    updateSamplingReport();
+    return rate > 0 ? resampleUniform(samples, rate) : samples;
+}
+
+/**
+ * Show the timing report for the last recording
+ */
+function updateSamplingReport() {
+    const element = document.getElementById('samplingReport');
+    if (!element) return;
+
+    const report = AppState.samplingReport;
+    if (!report) {
+        element.innerHTML = '';
+        return;
+    }
+
+    const lowRate = report.meanRate < SAMPLING_MIN_RATE;
+    element.innerHTML = `
+        <span class="${lowRate ? 'sampling-warning' : ''}">
+            <i class="fas ${lowRate ? 'fa-exclamation-triangle' : 'fa-wave-square'}"></i>
+            Device ${report.meanRate.toFixed(0)}Hz
+        </span>
+        <span>jitter ${report.jitter.toFixed(1)}ms</span>
+        <span>${report.gaps.length} gap(s), ~${report.droppedSamples} dropped</span>
+        <span>${report.resampleRate > 0 ? `resampled to ${report.resampleRate}Hz` : 'device timing kept'}</span>
+    `;
+}
+
+/**
+ * Build the preprocessing chain (see applyFilterChain) from settings.
+ * With a sample rate, cutoffs are checked against its Nyquist frequency:
+ * a slow device gets a lower low-pass rather than no filtering at all.
+ * Adjustments are described in `notes` for the caller to report.
+ */
+function buildFilterChain(settings = AppState.filterSettings, sampleRate = 0, notes = []) {
+    const chain = [];
+    const { order, zeroPhase } = settings;
+    let lowPass = settings.lowPassCutoff;
+    let highPass = settings.highPassCutoff;
+
+    if (sampleRate > 0) {
+        const limit = sampleRate / 2 * FILTER_NYQUIST_SHARE;
+        if (lowPass > limit) {
+            notes.push(`Low-pass lowered from ${lowPass}Hz to ${limit.toFixed(1)}Hz for a ${Math.round(sampleRate)}Hz recording`);
+            lowPass = limit;
+        }
+        if (highPass >= limit) {
+            notes.push(`High-pass at ${highPass}Hz skipped - too high for a ${Math.round(sampleRate)}Hz recording`);
+            highPass = 0;
+        }
+    }
+
+    if (settings.spikeWindow >= 3) {
+        chain.push({ type: 'median', window: settings.spikeWindow });
+    }
+
+    if (lowPass > 0 && highPass > 0) {
+        chain.push({ type: 'bandpass', low: highPass, high: lowPass, order, zeroPhase });
+    } else if (lowPass > 0) {
+        chain.push({ type: 'lowpass', cutoff: lowPass, order, zeroPhase });
+    } else if (highPass > 0) {
+        chain.push({ type: 'highpass', cutoff: highPass, order, zeroPhase });
+    }
+
+    return chain;
+}
+
+/**
+ * Filter the magnitude trace of a recording for jerk and smoothness.
+ * `notes` lists cutoffs that were lowered or steps that were skipped.
+ */
+function filterRollSignal(data, settings = AppState.filterSettings) {
+    const sampleRate = estimateSampleRate(data);
+    const notes = [];
+    const chain = buildFilterChain(settings || DEFAULT_FILTER_SETTINGS, sampleRate, notes);
+
+    return {
+        sampleRate,
+        chain,
+        notes,
+        magnitude: applyFilterChain(data.map(d => d.magnitude), chain, sampleRate, notes)
+    };
+}
+
+/**
+ * Fill the filter settings form
+ */
+function renderFilterSettings() {
+    const settings = AppState.filterSettings;
+    const fields = {
+        filterResampleRate: settings.resampleRate,
+        filterSpikeWindow: settings.spikeWindow,
+        filterLowPass: settings.lowPassCutoff,
+        filterHighPass: settings.highPassCutoff,
+        filterOrder: settings.order
+    };
+
+    Object.keys(fields).forEach(id => {
+        const element = document.getElementById(id);
+        if (element) element.value = fields[id];
+    });
+
+    const zeroPhase = document.getElementById('filterZeroPhase');
+    if (zeroPhase) zeroPhase.checked = settings.zeroPhase;
+}
+
+/**
+ * Read the filter form and save it
+ */
+function updateFilterSettings() {
+    const read = id => Math.max(0, parseFloat(document.getElementById(id).value) || 0);
+    const settings = {
+        resampleRate: read('filterResampleRate'),
+        spikeWindow: read('filterSpikeWindow'),
+        lowPassCutoff: read('filterLowPass'),
+        highPassCutoff: read('filterHighPass'),
+        order: read('filterOrder') || DEFAULT_FILTER_SETTINGS.order,
+        zeroPhase: document.getElementById('filterZeroPhase').checked
+    };
+
+    if (settings.lowPassCutoff > 0 && settings.highPassCutoff >= settings.lowPassCutoff) {
+        showNotification('High-pass cutoff must be below the low-pass cutoff', 'warning');
+        renderFilterSettings();
+        return;
+    }
+
+    AppState.filterSettings = settings;
+    try {
+        localStorage.setItem('rollFilterSettings', JSON.stringify(settings));
+    } catch (error) {
+        addLog('Storage error', 'Failed to save filter settings');
+        console.error('Failed to save filter settings:', error);
+    }
+
+    const steps = buildFilterChain(settings).map(step => step.type).join(' → ') || 'none';
+    addLog('Filters', `Preprocessing chain: ${steps}`);
+}
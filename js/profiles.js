@@ -0,0 +1,323 @@
+// Scoring Profiles - js/profiles.js
+
+// Labels for the components that make up the overall score
+const SCORE_COMPONENTS = {
+    peak: 'Peak force',
+    smoothness: 'Smoothness',
+    time: 'Timing',
+    stability: 'Stability',
+    rhythm: 'Rhythm',
+    rotation: 'Rotation',
+    rotationSmoothness: 'Spin smoothness',
+    ldlj: 'LDLJ',
+    sparc: 'SPARC',
+    velocityPeaks: 'Velocity peaks',
+    contact: 'Contact'
+};
+
+// Metrics with an ideal range, and their units
+const PROFILE_RANGES = {
+    peakForce: { label: 'Peak force', unit: 'G', step: 0.1 },
+    rollTime: { label: 'Roll time', unit: 's', step: 0.1 },
+    totalRotation: { label: 'Rotation', unit: '°', step: 10 }
+};
+
+const DEFAULT_SCORING_PROFILES = {
+    forward: {
+        id: 'forward',
+        name: 'Forward Roll',
+        builtin: true,
+        ranges: {
+            peakForce: { min: 1.2, max: 2.0 },
+            rollTime: { min: 1.0, max: 2.5 },
+            totalRotation: { min: 270, max: 450 }
+        },
+        weights: {
+            peak: 0.20, smoothness: 0.25, time: 0.15, stability: 0.15, rhythm: 0.10,
+            rotation: 0.10, rotationSmoothness: 0.05, ldlj: 0, sparc: 0, velocityPeaks: 0, contact: 0
+        }
+    },
+    backward: {
+        id: 'backward',
+        name: 'Back Roll',
+        builtin: true,
+        ranges: {
+            peakForce: { min: 1.1, max: 1.9 },
+            rollTime: { min: 1.2, max: 2.8 },
+            totalRotation: { min: 270, max: 450 }
+        },
+        weights: {
+            peak: 0.20, smoothness: 0.25, time: 0.10, stability: 0.20, rhythm: 0.10,
+            rotation: 0.10, rotationSmoothness: 0.05, ldlj: 0, sparc: 0, velocityPeaks: 0, contact: 0
+        }
+    },
+    side: {
+        id: 'side',
+        name: 'Side Roll',
+        builtin: true,
+        ranges: {
+            peakForce: { min: 1.2, max: 2.2 },
+            rollTime: { min: 0.8, max: 2.2 },
+            totalRotation: { min: 180, max: 360 }
+        },
+        weights: {
+            peak: 0.20, smoothness: 0.25, time: 0.15, stability: 0.15, rhythm: 0.10,
+            rotation: 0.10, rotationSmoothness: 0.05, ldlj: 0, sparc: 0, velocityPeaks: 0, contact: 0
+        }
+    },
+    breakfall: {
+        id: 'breakfall',
+        name: 'Breakfall',
+        builtin: true,
+        ranges: {
+            peakForce: { min: 1.5, max: 3.0 },
+            rollTime: { min: 0.5, max: 1.5 },
+            totalRotation: { min: 60, max: 180 }
+        },
+        weights: {
+            peak: 0.30, smoothness: 0.20, time: 0.15, stability: 0.15, rhythm: 0.05,
+            rotation: 0.10, rotationSmoothness: 0.05, ldlj: 0, sparc: 0, velocityPeaks: 0, contact: 0
+        }
+    },
+    highfall: {
+        id: 'highfall',
+        name: 'High Fall',
+        builtin: true,
+        ranges: {
+            peakForce: { min: 2.0, max: 4.0 },
+            rollTime: { min: 0.8, max: 2.0 },
+            totalRotation: { min: 150, max: 300 }
+        },
+        weights: {
+            peak: 0.30, smoothness: 0.20, time: 0.10, stability: 0.15, rhythm: 0.05,
+            rotation: 0.15, rotationSmoothness: 0.05, ldlj: 0, sparc: 0, velocityPeaks: 0, contact: 0
+        }
+    }
+};
+
+/**
+ * Load profiles (built-ins plus saved edits and custom ones)
+ */
+function loadScoringProfiles() {
+    AppState.scoringProfiles = deepClone(DEFAULT_SCORING_PROFILES);
+
+    try {
+        const saved = JSON.parse(localStorage.getItem('rollScoringProfiles') || '{}');
+        Object.values(saved).forEach(profile => {
+            AppState.scoringProfiles[profile.id] = profile;
+        });
+
+        const activeId = localStorage.getItem('rollActiveProfile');
+        if (activeId && AppState.scoringProfiles[activeId]) {
+            AppState.activeProfileId = activeId;
+        }
+    } catch (error) {
+        addLog('Storage error', 'Failed to load scoring profiles');
+        console.error('Failed to load scoring profiles:', error);
+    }
+
+    renderProfileSelect();
+    renderProfileEditor();
+}
+
+/**
+ * Persist profiles that differ from the built-in defaults
+ */
+function saveScoringProfiles() {
+    const toSave = {};
+    Object.values(AppState.scoringProfiles).forEach(profile => {
+        const builtin = DEFAULT_SCORING_PROFILES[profile.id];
+        if (!builtin || JSON.stringify(builtin) !== JSON.stringify(profile)) {
+            toSave[profile.id] = profile;
+        }
+    });
+
+    try {
+        localStorage.setItem('rollScoringProfiles', JSON.stringify(toSave));
+        localStorage.setItem('rollActiveProfile', AppState.activeProfileId);
+    } catch (error) {
+        addLog('Storage error', 'Failed to save scoring profiles');
+        console.error('Failed to save scoring profiles:', error);
+    }
+}
+
+/**
+ * Get a profile by id (falls back to the active one, then forward roll)
+ */
+function getScoringProfile(id) {
+    const profiles = AppState.scoringProfiles || DEFAULT_SCORING_PROFILES;
+    return profiles[id] || profiles[AppState.activeProfileId] || DEFAULT_SCORING_PROFILES.forward;
+}
+
+/**
+ * Get the profile selected for the next recording
+ */
+function getActiveProfile() {
+    return getScoringProfile(AppState.activeProfileId);
+}
+
+/**
+ * Select the roll type used for scoring
+ */
+function setActiveProfile(id) {
+    if (!AppState.scoringProfiles[id]) return;
+
+    AppState.activeProfileId = id;
+    saveScoringProfiles();
+    renderProfileSelect();
+    renderProfileEditor();
+    addLog('Profiles', `Scoring profile set to ${getActiveProfile().name}`);
+}
+
+/**
+ * Fill the roll type dropdown
+ */
+function renderProfileSelect() {
+    const select = document.getElementById('profileSelect');
+    if (!select) return;
+
+    select.innerHTML = Object.values(AppState.scoringProfiles).map(profile => `
+        <option value="${escapeHtml(profile.id)}" ${profile.id === AppState.activeProfileId ? 'selected' : ''}>
+            ${escapeHtml(profile.name)}
+        </option>
+    `).join('');
+}
+
+/**
+ * Render the editor form for the active profile
+ */
+function renderProfileEditor() {
+    const container = document.getElementById('profileEditor');
+    if (!container) return;
+
+    const profile = getActiveProfile();
+
+    const rangeFields = Object.keys(PROFILE_RANGES).map(key => {
+        const meta = PROFILE_RANGES[key];
+        const range = profile.ranges[key];
+        return `
+            <div class="form-field">
+                <label>${meta.label} (${meta.unit})</label>
+                <div class="range-inputs">
+                    <input type="number" step="${meta.step}" data-range="${key}" data-bound="min" value="${range.min}" aria-label="${meta.label} minimum">
+                    <span>to</span>
+                    <input type="number" step="${meta.step}" data-range="${key}" data-bound="max" value="${range.max}" aria-label="${meta.label} maximum">
+                </div>
+            </div>
+        `;
+    }).join('');
+
+    const weightFields = Object.keys(SCORE_COMPONENTS).map(key => `
+        <div class="form-field">
+            <label for="weight-${key}">${SCORE_COMPONENTS[key]} (%)</label>
+            <input type="number" id="weight-${key}" min="0" max="100" step="1" data-weight="${key}"
+                   value="${Math.round((profile.weights[key] || 0) * 100)}">
+        </div>
+    `).join('');
+
+    container.innerHTML = `
+        <div class="form-grid">
+            <div class="form-field">
+                <label for="profileName">Name</label>
+                <input type="text" id="profileName" value="${escapeHtml(profile.name)}">
+            </div>
+            ${rangeFields}
+        </div>
+        <div class="settings-subtitle">Weights</div>
+        <div class="form-grid">${weightFields}</div>
+        <div class="controls">
+            <button class="control-btn start-btn" onclick="saveProfileFromEditor()">
+                <i class="fas fa-save"></i> SAVE
+            </button>
+            <button class="control-btn export-btn" onclick="createScoringProfile()">
+                <i class="fas fa-copy"></i> NEW FROM THIS
+            </button>
+            <button class="control-btn reset-btn" onclick="deleteScoringProfile()">
+                <i class="fas ${profile.builtin ? 'fa-undo' : 'fa-trash'}"></i> ${profile.builtin ? 'RESTORE DEFAULT' : 'DELETE'}
+            </button>
+        </div>
+    `;
+}
+
+/**
+ * Read the editor form into the active profile
+ */
+function saveProfileFromEditor() {
+    const container = document.getElementById('profileEditor');
+    if (!container) return;
+
+    const profile = getActiveProfile();
+    const name = document.getElementById('profileName').value.trim();
+
+    // Validate a copy so a bad edit never reaches the live profile
+    const ranges = deepClone(profile.ranges);
+    let valid = true;
+    container.querySelectorAll('[data-range]').forEach(input => {
+        const value = parseFloat(input.value);
+        if (isNaN(value)) {
+            valid = false;
+            return;
+        }
+        ranges[input.dataset.range][input.dataset.bound] = value;
+    });
+
+    Object.keys(PROFILE_RANGES).forEach(key => {
+        if (ranges[key].min > ranges[key].max) valid = false;
+    });
+
+    const weights = {};
+    container.querySelectorAll('[data-weight]').forEach(input => {
+        weights[input.dataset.weight] = Math.max(0, parseFloat(input.value) || 0) / 100;
+    });
+    const totalWeight = Object.values(weights).reduce((sum, w) => sum + w, 0);
+
+    if (!valid || totalWeight === 0) {
+        showNotification('Check the ranges (min ≤ max) and give at least one weight', 'warning');
+        return;
+    }
+
+    Object.assign(profile, { name: name || profile.name, ranges, weights });
+    saveScoringProfiles();
+    renderProfileSelect();
+    renderProfileEditor();
+
+    addLog('Profiles', `Saved scoring profile ${profile.name}`);
+    showNotification(`Profile "${profile.name}" saved`, 'success');
+}
+
+/**
+ * Create a custom profile starting from the active one
+ */
+function createScoringProfile() {
+    const source = getActiveProfile();
+    const profile = deepClone(source);
+
+    profile.id = `custom-${generateId()}`;
+    profile.name = `${source.name} (custom)`;
+    profile.builtin = false;
+
+    AppState.scoringProfiles[profile.id] = profile;
+    setActiveProfile(profile.id);
+    showNotification(`Created profile "${profile.name}"`, 'success');
+}
+
+/**
+ * Delete a custom profile or restore a built-in one
+ */
+function deleteScoringProfile() {
+    const profile = getActiveProfile();
+
+    if (profile.builtin) {
+        AppState.scoringProfiles[profile.id] = deepClone(DEFAULT_SCORING_PROFILES[profile.id]);
+        showNotification(`Restored default "${profile.name}" profile`, 'info');
+    } else {
+        delete AppState.scoringProfiles[profile.id];
+        AppState.activeProfileId = 'forward';
+        showNotification(`Deleted profile "${profile.name}"`, 'info');
+    }
+
+    saveScoringProfiles();
+    renderProfileSelect();
+    renderProfileEditor();
+    addLog('Profiles', `${profile.builtin ? 'Restored' : 'Deleted'} scoring profile ${profile.name}`);
+}
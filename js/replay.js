@@ -0,0 +1,390 @@
+// Roll Replay - js/replay.js
+
+const REPLAY_BODY = { width: 0.5, height: 1.0, depth: 0.12 }; // phone proportions
+const REPLAY_VIEW_YAW = degToRad(35);       // camera angle around the vertical
+const REPLAY_VIEW_ELEVATION = degToRad(20); // camera angle above the mat
+const REPLAY_IMPACT_WINDOW = 120;           // ms either side of impact to flash
+
+/**
+ * Chart.js plugin that draws the replay position and impact on the acceleration chart
+ */
+const replayMarkerPlugin = {
+    id: 'replayMarker',
+    afterDatasetsDraw(chart) {
+        const replay = AppState.replay;
+        if (!replay.track || chart !== AppState.charts.acceleration) return;
+
+        const { ctx, chartArea, scales } = chart;
+        const drawLine = (time, color, dashed) => {
+            const x = scales.x.getPixelForValue(time / 1000);
+            if (x < chartArea.left || x > chartArea.right) return;
+
+            ctx.save();
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 2;
+            if (dashed) ctx.setLineDash([4, 4]);
+            ctx.beginPath();
+            ctx.moveTo(x, chartArea.top);
+            ctx.lineTo(x, chartArea.bottom);
+            ctx.stroke();
+            ctx.restore();
+        };
+
+        drawLine(replay.impactTime, 'rgba(244, 67, 54, 0.8)', true);
+        drawLine(replay.time, 'rgba(118, 75, 162, 1)', false);
+    }
+};
+
+if (typeof Chart !== 'undefined') {
+    Chart.register(replayMarkerPlugin);
+}
+
+/**
+ * Prepare the replay for a freshly analyzed roll
+ */
+function loadReplay(data, metrics) {
+    const replay = AppState.replay;
+    stopReplayLoop();
+
+    // Without a gyroscope, fall back to the tilt implied by gravity
+    replay.track = metrics.orientationTrack || buildTiltTrack(data);
+    replay.data = data;
+    replay.time = 0;
+    replay.duration = data[data.length - 1].time;
+
+    const impactIndex = data.reduce((best, d, i) => d.magnitude > data[best].magnitude ? i : best, 0);
+    replay.impactTime = data[impactIndex].time;
+    replay.impactIndex = impactIndex;
+
+    const section = document.getElementById('replaySection');
+    if (section) section.classList.remove('hidden');
+
+    const scrubber = document.getElementById('replayScrubber');
+    if (scrubber) {
+        scrubber.max = Math.round(replay.duration);
+        scrubber.value = 0;
+    }
+
+    const impactInfo = document.getElementById('replayImpact');
+    if (impactInfo) {
+        const impactPose = replay.track[impactIndex];
+        impactInfo.textContent = `Impact at ${(replay.impactTime / 1000).toFixed(2)}s ` +
+            `(${data[impactIndex].magnitude.toFixed(2)}G, roll ${Math.round(impactPose.roll)}°, pitch ${Math.round(impactPose.pitch)}°)`;
+    }
+
+    updateReplayControls();
+    renderReplayFrame();
+}
+
+/**
+ * Hide and forget the replay
+ */
+function clearReplay() {
+    stopReplayLoop();
+    Object.assign(AppState.replay, { track: null, data: null, time: 0, duration: 0 });
+
+    const section = document.getElementById('replaySection');
+    if (section) section.classList.add('hidden');
+}
+
+/**
+ * Orientation from accelerometer tilt only (yaw unknown)
+ */
+function buildTiltTrack(data) {
+    return data.map(d => {
+        const roll = Math.atan2(d.y, d.z);
+        const pitch = Math.atan2(-d.x, Math.sqrt(d.y * d.y + d.z * d.z));
+        const q = eulerToQuaternion(roll, pitch, 0);
+        return { time: d.time, q, ...quaternionToEuler(q) };
+    });
+}
+
+/**
+ * Play or pause
+ */
+function toggleReplay() {
+    const replay = AppState.replay;
+    if (!replay.track) return;
+
+    if (replay.playing) {
+        stopReplayLoop();
+    } else {
+        if (replay.time >= replay.duration) replay.time = 0;
+        replay.playing = true;
+        replay.lastFrame = null;
+        replay.frameId = requestAnimationFrame(stepReplay);
+    }
+
+    updateReplayControls();
+}
+
+/**
+ * Stop the animation loop
+ */
+function stopReplayLoop() {
+    const replay = AppState.replay;
+    replay.playing = false;
+    if (replay.frameId) {
+        cancelAnimationFrame(replay.frameId);
+        replay.frameId = null;
+    }
+    updateReplayControls();
+}
+
+/**
+ * Animation frame: advance replay time by the elapsed time times speed
+ */
+function stepReplay(timestamp) {
+    const replay = AppState.replay;
+    if (!replay.playing) return;
+
+    if (replay.lastFrame !== null) {
+        replay.time += (timestamp - replay.lastFrame) * replay.speed;
+    }
+    replay.lastFrame = timestamp;
+
+    if (replay.time >= replay.duration) {
+        replay.time = replay.duration;
+        renderReplayFrame();
+        stopReplayLoop();
+        return;
+    }
+
+    renderReplayFrame();
+    replay.frameId = requestAnimationFrame(stepReplay);
+}
+
+/**
+ * Jump to a position from the scrubber (ms)
+ */
+function scrubReplay(value) {
+    const replay = AppState.replay;
+    if (!replay.track) return;
+
+    replay.time = clamp(parseFloat(value) || 0, 0, replay.duration);
+    renderReplayFrame();
+}
+
+/**
+ * Set playback speed multiplier
+ */
+function setReplaySpeed(value) {
+    AppState.replay.speed = parseFloat(value) || 1;
+}
+
+/**
+ * Update play button and time readout
+ */
+function updateReplayControls() {
+    const replay = AppState.replay;
+
+    const playBtn = document.getElementById('replayPlayBtn');
+    if (playBtn) {
+        playBtn.innerHTML = replay.playing ?
+            '<i class="fas fa-pause"></i> PAUSE' :
+            '<i class="fas fa-play"></i> PLAY';
+    }
+
+    const timeLabel = document.getElementById('replayTime');
+    if (timeLabel) {
+        timeLabel.textContent = `${(replay.time / 1000).toFixed(2)}s / ${(replay.duration / 1000).toFixed(2)}s`;
+    }
+}
+
+/**
+ * Index of the track entry at or just before a time
+ */
+function findReplayIndex(time) {
+    const track = AppState.replay.track;
+    let low = 0;
+    let high = track.length - 1;
+
+    while (low < high) {
+        const mid = Math.ceil((low + high) / 2);
+        if (track[mid].time <= time) {
+            low = mid;
+        } else {
+            high = mid - 1;
+        }
+    }
+    return low;
+}
+
+/**
+ * Draw the current replay frame and sync the chart marker and scrubber
+ */
+function renderReplayFrame() {
+    const replay = AppState.replay;
+    if (!replay.track) return;
+
+    const index = findReplayIndex(replay.time);
+    drawReplayScene(replay.track[index].q, index);
+
+    const scrubber = document.getElementById('replayScrubber');
+    if (scrubber && !scrubber.matches(':active')) {
+        scrubber.value = Math.round(replay.time);
+    }
+
+    updateReplayControls();
+
+    const chart = AppState.charts.acceleration;
+    if (chart && typeof chart.draw === 'function') {
+        chart.draw();
+    }
+}
+
+/**
+ * Rotate a body-frame point into the earth frame (q maps earth -> sensor)
+ */
+function rotateToEarth(q, point) {
+    const [w, x, y, z] = q;
+    // Rotate by the conjugate quaternion
+    const cx = -x;
+    const cy = -y;
+    const cz = -z;
+
+    const tx = 2 * (cy * point.z - cz * point.y);
+    const ty = 2 * (cz * point.x - cx * point.z);
+    const tz = 2 * (cx * point.y - cy * point.x);
+
+    return {
+        x: point.x + w * tx + (cy * tz - cz * ty),
+        y: point.y + w * ty + (cz * tx - cx * tz),
+        z: point.z + w * tz + (cx * ty - cy * tx)
+    };
+}
+
+/**
+ * Project an earth-frame point onto the canvas (z up, fixed camera)
+ */
+function projectReplayPoint(point, width, height) {
+    const cosYaw = Math.cos(REPLAY_VIEW_YAW);
+    const sinYaw = Math.sin(REPLAY_VIEW_YAW);
+    const cosEl = Math.cos(REPLAY_VIEW_ELEVATION);
+    const sinEl = Math.sin(REPLAY_VIEW_ELEVATION);
+
+    // Turn the camera around the vertical, then tilt it down
+    const x = point.x * cosYaw - point.y * sinYaw;
+    const depth = point.x * sinYaw + point.y * cosYaw;
+    const y = point.z * cosEl - depth * sinEl;
+    const z = point.z * sinEl + depth * cosEl;
+
+    const scale = Math.min(width, height) * 0.35;
+    const perspective = 3 / (3 + z);
+
+    return {
+        x: width / 2 + x * scale * perspective,
+        y: height / 2 - y * scale * perspective,
+        depth: z
+    };
+}
+
+/**
+ * Faces of the phone box as corner indices, with the screen face first
+ */
+function getReplayBoxFaces() {
+    const { width, height, depth } = REPLAY_BODY;
+    const corners = [];
+    [-1, 1].forEach(sx => [-1, 1].forEach(sy => [-1, 1].forEach(sz => {
+        corners.push({ x: sx * width / 2, y: sy * height / 2, z: sz * depth / 2 });
+    })));
+
+    return {
+        corners,
+        faces: [
+            { indices: [1, 3, 7, 5], color: '#333a56' }, // screen (+z)
+            { indices: [0, 4, 6, 2], color: '#9fa8da' }, // back (-z)
+            { indices: [2, 6, 7, 3], color: '#7986cb' }, // top (+y)
+            { indices: [0, 1, 5, 4], color: '#7986cb' }, // bottom (-y)
+            { indices: [4, 5, 7, 6], color: '#5c6bc0' }, // right (+x)
+            { indices: [0, 2, 3, 1], color: '#5c6bc0' }  // left (-x)
+        ]
+    };
+}
+
+/**
+ * Draw the phone at orientation q, with a ghost of the impact pose
+ */
+function drawReplayScene(q, index) {
+    const canvas = document.getElementById('replayCanvas');
+    if (!canvas) return;
+
+    const rect = canvas.getBoundingClientRect();
+    const dpr = getPixelRatio();
+    if (canvas.width !== Math.round(rect.width * dpr) || canvas.height !== Math.round(rect.height * dpr)) {
+        canvas.width = Math.round(rect.width * dpr);
+        canvas.height = Math.round(rect.height * dpr);
+    }
+
+    const ctx = canvas.getContext('2d');
+    const width = rect.width;
+    const height = rect.height;
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+
+    const replay = AppState.replay;
+    const nearImpact = Math.abs(replay.time - replay.impactTime) <= REPLAY_IMPACT_WINDOW;
+
+    // Mat
+    const matCorners = [[-1.2, -1.2], [1.2, -1.2], [1.2, 1.2], [-1.2, 1.2]]
+        .map(([x, y]) => projectReplayPoint({ x, y, z: -0.8 }, width, height));
+    ctx.fillStyle = nearImpact ? 'rgba(244, 67, 54, 0.25)' : 'rgba(102, 126, 234, 0.12)';
+    ctx.beginPath();
+    matCorners.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+    ctx.closePath();
+    ctx.fill();
+
+    // Ghost of the pose at impact
+    const impactPose = replay.track[replay.impactIndex];
+    if (impactPose && index !== replay.impactIndex) {
+        drawReplayBox(ctx, impactPose.q, width, height, 0.2);
+    }
+
+    drawReplayBox(ctx, q, width, height, 1);
+
+    // Readout
+    const pose = replay.track[index];
+    const sample = replay.data[index];
+    ctx.fillStyle = '#666';
+    ctx.font = '12px Inter, sans-serif';
+    ctx.fillText(`Roll ${Math.round(pose.roll)}°  Pitch ${Math.round(pose.pitch)}°  Yaw ${Math.round(pose.yaw)}°`, 10, 18);
+    if (sample) {
+        ctx.fillStyle = nearImpact ? '#f44336' : '#666';
+        ctx.fillText(`${sample.magnitude.toFixed(2)}G${nearImpact ? '  IMPACT' : ''}`, 10, 34);
+    }
+}
+
+/**
+ * Draw the phone box with simple depth sorting
+ */
+function drawReplayBox(ctx, q, width, height, alpha) {
+    const { corners, faces } = getReplayBoxFaces();
+    const projected = corners.map(c => projectReplayPoint(rotateToEarth(q, c), width, height));
+
+    const sorted = faces
+        .map(face => ({
+            ...face,
+            depth: face.indices.reduce((sum, i) => sum + projected[i].depth, 0) / face.indices.length
+        }))
+        .sort((a, b) => b.depth - a.depth);
+
+    ctx.save();
+    ctx.globalAlpha = alpha;
+    ctx.strokeStyle = '#ffffff';
+    ctx.lineWidth = 1;
+
+    sorted.forEach(face => {
+        ctx.fillStyle = face.color;
+        ctx.beginPath();
+        face.indices.forEach((i, n) => {
+            const p = projected[i];
+            if (n === 0) ctx.moveTo(p.x, p.y);
+            else ctx.lineTo(p.x, p.y);
+        });
+        ctx.closePath();
+        ctx.fill();
+        ctx.stroke();
+    });
+
+    ctx.restore();
+}
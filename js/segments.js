@@ -0,0 +1,220 @@
+// Multi-Segment Analysis - js/segments.js
+
+// Share of the combined score contributed by each body segment
+const SEGMENT_WEIGHTS = {
+    hip: 0.4,
+    shoulder: 0.4,
+    ankle: 0.2
+};
+const SEGMENT_CONTACT_THRESHOLD = 1.5; // G - first crossing counts as mat contact
+const SEGMENT_MAX_LAG = 600;           // ms - search window for hip/shoulder lag
+const SEGMENT_COORDINATION_WEIGHT = 0.2;
+
+/**
+ * Analyze an aligned multi-device recording (see alignDeviceStreams)
+ */
+function analyzeMultiSegment(aligned) {
+    if (!aligned) return null;
+
+    // One stream per segment; the first device to report a segment wins
+    const streams = {};
+    aligned.streams.forEach(stream => {
+        if (!streams[stream.segment] && stream.samples.length >= 10) {
+            streams[stream.segment] = stream.samples;
+        }
+    });
+
+    const segmentNames = Object.keys(streams);
+    if (segmentNames.length === 0) return null;
+
+    const segments = {};
+    segmentNames.forEach(segment => {
+        const metrics = calculateRollMetrics(streams[segment]);
+        segments[segment] = {
+            metrics,
+            score: calculateOverallScore(metrics)
+        };
+    });
+
+    const lag = streams.hip && streams.shoulder ?
+        calculateSegmentLag(streams.hip, streams.shoulder, aligned.step) : null;
+    const contactOrder = findContactOrder(streams);
+    const forceDistribution = calculateForceDistribution(segments);
+    const coordinationScore = lag ? calculateCoordinationScore(lag) : null;
+
+    return {
+        segments,
+        lag,
+        contactOrder,
+        firstContact: contactOrder.length > 0 ? contactOrder[0].segment : null,
+        forceDistribution,
+        coordinationScore,
+        combinedScore: calculateCombinedScore(segments, coordinationScore)
+    };
+}
+
+/**
+ * Estimate how far the hip trails the shoulder using cross-correlation
+ * of the two magnitude traces. Positive lag means the shoulder moves first.
+ */
+function calculateSegmentLag(hipSamples, shoulderSamples, step) {
+    const hip = hipSamples.map(d => d.magnitude);
+    const shoulder = shoulderSamples.map(d => d.magnitude);
+    const length = Math.min(hip.length, shoulder.length);
+
+    const hipMean = hip.slice(0, length).reduce((sum, val) => sum + val, 0) / length;
+    const shoulderMean = shoulder.slice(0, length).reduce((sum, val) => sum + val, 0) / length;
+    const hipCentered = hip.slice(0, length).map(val => val - hipMean);
+    const shoulderCentered = shoulder.slice(0, length).map(val => val - shoulderMean);
+
+    const hipEnergy = Math.sqrt(hipCentered.reduce((sum, val) => sum + val * val, 0));
+    const shoulderEnergy = Math.sqrt(shoulderCentered.reduce((sum, val) => sum + val * val, 0));
+    if (hipEnergy === 0 || shoulderEnergy === 0) return null;
+
+    const maxShift = Math.min(length - 1, Math.round(SEGMENT_MAX_LAG / step));
+    let bestShift = 0;
+    let bestCorrelation = -Infinity;
+
+    for (let shift = -maxShift; shift <= maxShift; shift++) {
+        let sum = 0;
+        for (let i = 0; i < length; i++) {
+            const j = i + shift;
+            if (j >= 0 && j < length) {
+                sum += shoulderCentered[i] * hipCentered[j];
+            }
+        }
+        if (sum > bestCorrelation) {
+            bestCorrelation = sum;
+            bestShift = shift;
+        }
+    }
+
+    return {
+        lagMs: bestShift * step,
+        correlation: bestCorrelation / (hipEnergy * shoulderEnergy)
+    };
+}
+
+/**
+ * Order segments by when they first cross the contact threshold
+ */
+function findContactOrder(streams) {
+    return Object.keys(streams)
+        .map(segment => {
+            const contact = streams[segment].find(d => d.magnitude >= SEGMENT_CONTACT_THRESHOLD);
+            return contact ? { segment, time: contact.time } : null;
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Share of the summed peak force carried by each segment (percent)
+ */
+function calculateForceDistribution(segments) {
+    const total = Object.values(segments).reduce((sum, s) => sum + s.metrics.peakForce, 0);
+    const distribution = {};
+
+    Object.keys(segments).forEach(segment => {
+        distribution[segment] = total > 0 ? (segments[segment].metrics.peakForce / total) * 100 : 0;
+    });
+
+    return distribution;
+}
+
+/**
+ * Score how well hip and shoulder work together
+ */
+function calculateCoordinationScore(lag) {
+    // Ideal: shoulder leads the hip by up to 400ms, and the traces are similar
+    const idealMin = 0;
+    const idealMax = 400;
+
+    let timingScore = 100;
+    if (lag.lagMs < idealMin) {
+        // Hip arrives before the shoulder
+        timingScore = Math.max(0, 100 - ((idealMin - lag.lagMs) / 10));
+    } else if (lag.lagMs > idealMax) {
+        // Body stalls between shoulder and hip
+        timingScore = Math.max(0, 100 - ((lag.lagMs - idealMax) / 5));
+    }
+
+    const similarityScore = Math.max(0, lag.correlation) * 100;
+    return Math.round(timingScore * 0.7 + similarityScore * 0.3);
+}
+
+/**
+ * Combine per-segment scores and coordination into one score
+ */
+function calculateCombinedScore(segments, coordinationScore) {
+    let weightedSum = 0;
+    let totalWeight = 0;
+
+    Object.keys(segments).forEach(segment => {
+        const weight = SEGMENT_WEIGHTS[segment] || 0.2;
+        weightedSum += segments[segment].score * weight;
+        totalWeight += weight;
+    });
+
+    const segmentScore = totalWeight > 0 ? weightedSum / totalWeight : 0;
+    if (coordinationScore === null) return Math.round(segmentScore);
+
+    return Math.round(
+        segmentScore * (1 - SEGMENT_COORDINATION_WEIGHT) +
+        coordinationScore * SEGMENT_COORDINATION_WEIGHT
+    );
+}
+
+/**
+ * Render the combined score and per-segment breakdown
+ */
+function renderSegmentBreakdown(analysis) {
+    const container = document.getElementById('segmentBreakdown');
+    if (!container) return;
+
+    if (!analysis) {
+        container.innerHTML = '';
+        return;
+    }
+
+    const cards = Object.keys(analysis.segments).map(segment => {
+        const { metrics, score } = analysis.segments[segment];
+        return `
+            <div class="segment-card">
+                <div class="segment-title">${escapeHtml(SYNC_SEGMENTS[segment] || segment)}</div>
+                <div class="segment-score" style="color: ${getScoreColor(score)};">
+                    ${score} <span>${getScoreGrade(score)}</span>
+                </div>
+                <div class="segment-metrics">
+                    <div><span>Peak</span>${metrics.peakForce.toFixed(2)}G</div>
+                    <div><span>Smoothness</span>${Math.round(metrics.smoothness)}%</div>
+                    <div><span>Time</span>${metrics.rollTime.toFixed(2)}s</div>
+                    <div><span>Force share</span>${analysis.forceDistribution[segment].toFixed(0)}%</div>
+                </div>
+            </div>
+        `;
+    }).join('');
+
+    const lagText = analysis.lag ?
+        `${analysis.lag.lagMs > 0 ? '+' : ''}${analysis.lag.lagMs}ms (r = ${analysis.lag.correlation.toFixed(2)})` :
+        'Needs hip and shoulder';
+    const contactText = analysis.contactOrder.length > 0 ?
+        analysis.contactOrder.map(c => SYNC_SEGMENTS[c.segment] || c.segment).join(' → ') :
+        'No contact detected';
+
+    container.innerHTML = `
+        <div class="segment-summary">
+            <div class="segment-combined" style="color: ${getScoreColor(analysis.combinedScore)};">
+                ${analysis.combinedScore}
+                <div class="score-label">Combined Score</div>
+            </div>
+            <ul class="segment-cross">
+                <li><i class="fas fa-stopwatch"></i> Hip lag behind shoulder: <strong>${lagText}</strong></li>
+                <li><i class="fas fa-shoe-prints"></i> Contact order: <strong>${contactText}</strong></li>
+                <li><i class="fas fa-people-arrows"></i> Coordination:
+                    <strong>${analysis.coordinationScore !== null ? analysis.coordinationScore : '--'}</strong></li>
+            </ul>
+        </div>
+        <div class="segment-grid">${cards}</div>
+    `;
+}
@@ -8,7 +8,7 @@ let throttledOrientationHandler = null;
  * Initialize sensor monitoring graphs
  */
 function initSensorGraphs() {
-    const graphIds = ['accelGraph', 'gyroGraph', 'orientGraph', 'derivedGraph'];
+    const graphIds = ['accelGraph', 'gyroGraph', 'orientGraph', 'fusionGraph', 'derivedGraph'];
 
     graphIds.forEach(id => {
         const canvas = document.getElementById(id);
@@ -28,7 +28,7 @@ function initSensorGraphs() {
                 data: { x: [], y: [], z: [] },
                 maxPoints: 100,
                 colors: ['#ff4444', '#44ff44', '#4444ff'],
-                labels: ['X', 'Y', 'Z']
+                labels: id === 'fusionGraph' ? ['Roll', 'Pitch', 'Yaw'] : ['X', 'Y', 'Z']
             };
 
             drawSensorGrid(ctx, canvas, rect.width, rect.height);
@@ -173,6 +173,8 @@ function startSensorMonitoring() {
 
     AppState.isSensorMonitoring = true;
     AppState.sensorData = [];
+    AppState.sensorFusion = createMadgwickFilter();
+    AppState.sensorFusion.gravity = 9.81;
 
     // Update UI
     const startBtn = document.getElementById('sensorStartBtn');
@@ -219,9 +221,10 @@ function startSensorListeners() {
 function handleSensorMotionCore(event) {
     if (!AppState.isSensorMonitoring) return;
 
-    const acc = event.accelerationIncludingGravity;
-    const gyro = event.rotationRate;
+    const acc = calibrateAcceleration(event.accelerationIncludingGravity);
+    const gyro = calibrateRotation(getRotationRate(event));
     const timestamp = Date.now();
+    const fused = acc && gyro ? updateSensorFusion(acc, gyro, timestamp) : null;
 
     if (acc) {
         // Update accelerometer display
@@ -262,6 +265,15 @@ function handleSensorMotionCore(event) {
         updateSensorGraph('gyroGraph', gyro.x || 0, gyro.y || 0, gyro.z || 0);
     }
 
+    if (fused) {
+        // Update fused orientation display
+        document.getElementById('fusedRoll').textContent = Math.round(fused.roll);
+        document.getElementById('fusedPitch').textContent = Math.round(fused.pitch);
+        document.getElementById('fusedYaw').textContent = Math.round(fused.yaw);
+
+        updateSensorGraph('fusionGraph', fused.roll / 10, fused.pitch / 10, fused.yaw / 10);
+    }
+
     // Store sensor data
     const magnitude = parseFloat(document.getElementById('magnitude').textContent || 0);
     const angularMagnitude = parseFloat(document.getElementById('angular').textContent || 0);
@@ -279,13 +291,52 @@ function handleSensorMotionCore(event) {
             y: gyro?.y || 0,
             z: gyro?.z || 0,
             magnitude: angularMagnitude
-        }
+        },
+        orientation: fused ? {
+            roll: fused.roll,
+            pitch: fused.pitch,
+            yaw: fused.yaw,
+            quaternion: fused.q
+        } : null,
+        linearAcceleration: fused ? fused.linear : null
     });
 
     // Limit stored data to prevent memory issues
     if (AppState.sensorData.length > 10000) {
         AppState.sensorData = AppState.sensorData.slice(-5000);
     }
+
+    updateLiveSpectrogram();
+}
+
+/**
+ * Advance the live Madgwick filter and derive gravity-free acceleration (m/s²)
+ */
+function updateSensorFusion(acc, gyro, timestamp) {
+    const filter = AppState.sensorFusion;
+    if (!filter) return null;
+
+    const previous = AppState.previousFusionTime;
+    const dt = previous ? (timestamp - previous) / 1000 : 0;
+    AppState.previousFusionTime = timestamp;
+    if (dt > 1) filter.reset(); // resync after a long gap
+
+    const q = filter.update(
+        degToRad(gyro.x), degToRad(gyro.y), degToRad(gyro.z),
+        acc.x || 0, acc.y || 0, acc.z || 0,
+        dt
+    );
+
+    const gravity = gravityInSensorFrame(q);
+    return {
+        q: q.slice(),
+        ...quaternionToEuler(q),
+        linear: {
+            x: (acc.x || 0) - gravity.x * 9.81,
+            y: (acc.y || 0) - gravity.y * 9.81,
+            z: (acc.z || 0) - gravity.z * 9.81
+        }
+    };
 }
 
 /**
@@ -361,13 +412,16 @@ function stopSensorMonitoring() {
 function resetSensorData() {
     AppState.sensorData = [];
     AppState.previousAcceleration = { x: 0, y: 0, z: 0, timestamp: 0 };
+    AppState.previousFusionTime = 0;
+    if (AppState.sensorFusion) AppState.sensorFusion.reset();
 
     // Reset all displays
     const sensorIds = [
         'accelX', 'accelY', 'accelZ',
         'gyroX', 'gyroY', 'gyroZ',
         'orientAlpha', 'orientBeta', 'orientGamma',
-        'magnitude', 'jerk', 'angular'
+        'fusedRoll', 'fusedPitch', 'fusedYaw',
+        'magnitude', 'jerk', 'angular', 'dominantFrequency', 'highFrequencyShare'
     ];
 
     sensorIds.forEach(id => {
@@ -384,6 +438,7 @@ function resetSensorData() {
         graph.ctx.clearRect(0, 0, rect.width, rect.height);
         drawSensorGrid(graph.ctx, graph.canvas, rect.width, rect.height);
     });
+    updateLiveSpectrogram(true);
 
     addLog('Sensor reset', 'Sensor data and displays reset');
     showNotification('Sensor data reset', 'success');
@@ -429,7 +484,8 @@ function exportSensorData(format) {
 function exportAsCSV(timestamp) {
     const headers = [
         'Timestamp', 'AccelX', 'AccelY', 'AccelZ', 'AccelMagnitude',
-        'GyroX', 'GyroY', 'GyroZ', 'GyroMagnitude'
+        'GyroX', 'GyroY', 'GyroZ', 'GyroMagnitude',
+        'Roll', 'Pitch', 'Yaw', 'LinearX', 'LinearY', 'LinearZ'
     ];
 
     let dataStr = headers.join(',') + '\n';
@@ -444,7 +500,13 @@ function exportAsCSV(timestamp) {
             row.gyroscope.x,
             row.gyroscope.y,
             row.gyroscope.z,
-            row.gyroscope.magnitude || 0
+            row.gyroscope.magnitude || 0,
+            row.orientation ? row.orientation.roll : '',
+            row.orientation ? row.orientation.pitch : '',
+            row.orientation ? row.orientation.yaw : '',
+            row.linearAcceleration ? row.linearAcceleration.x : '',
+            row.linearAcceleration ? row.linearAcceleration.y : '',
+            row.linearAcceleration ? row.linearAcceleration.z : ''
         ].join(',');
         dataStr += csvRow + '\n';
     });
@@ -491,6 +553,7 @@ function exportAsAnalysis(timestamp) {
             duration: AppState.sensorData.length > 0 ?
                 AppState.sensorData[AppState.sensorData.length - 1].timestamp - AppState.sensorData[0].timestamp : 0,
             samplingRate: calculateSamplingRate(),
+            sampleTiming: analyzeSampleTiming(AppState.sensorData.map(d => ({ time: d.timestamp }))),
             deviceInfo: {
                 userAgent: navigator.userAgent,
                 platform: navigator.platform,
@@ -499,6 +562,10 @@ function exportAsAnalysis(timestamp) {
             }
         },
         statistics: calculateSensorStatistics(),
+        spectral: calculateSpectralMetrics(
+            AppState.sensorData.map(d => d.acceleration.magnitude),
+            estimateSampleRate(AppState.sensorData.map(d => ({ time: d.timestamp })))
+        ),
         peaks: detectMotionPeaks(),
         rawData: AppState.sensorData
     };
@@ -537,6 +604,9 @@ function calculateSensorStatistics() {
     const gyroY = AppState.sensorData.map(d => d.gyroscope.y);
     const gyroZ = AppState.sensorData.map(d => d.gyroscope.z);
 
+    const fusedRows = AppState.sensorData.filter(d => d.linearAcceleration);
+    const linearMag = fusedRows.map(d => magnitude3D(d.linearAcceleration));
+
     return {
         acceleration: {
             x: calculateStats(accelX),
@@ -549,6 +619,12 @@ function calculateSensorStatistics() {
             y: calculateStats(gyroY),
             z: calculateStats(gyroZ)
         },
+        fusion: {
+            roll: calculateStats(fusedRows.map(d => d.orientation.roll)),
+            pitch: calculateStats(fusedRows.map(d => d.orientation.pitch)),
+            yaw: calculateStats(fusedRows.map(d => d.orientation.yaw)),
+            linearMagnitude: calculateStats(linearMag)
+        },
         motion: {
             totalMovement: accelMag.reduce((sum, val) => sum + Math.abs(val - 1), 0),
             maxAcceleration: Math.max(...accelMag),
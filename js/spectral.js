@@ -0,0 +1,255 @@
+// Frequency-Domain Analysis - js/spectral.js
+//
+// A controlled roll is slow: nearly all of its energy sits below a few Hz.
+// Shaking, wobble and hard slaps show up as energy above SPECTRAL_CUTOFF.
+// powerSpectralDensity averages Hann-windowed FFTs of overlapping segments
+// (Welch's method) for a steadier estimate than one FFT of the whole roll;
+// computeSpectrogram draws short-window spectra over time in the sensors view.
+// "Spectral smoothness" is 100 minus five times the share of energy above the
+// cutoff. It is computed on the raw magnitude, because the low-pass filter
+// used for jerk would remove exactly the wobble it is meant to measure.
+
+const SPECTRAL_CUTOFF = 8;            // Hz - energy above this counts as tremor/wobble
+const SPECTRAL_SEGMENT = 128;         // samples per Welch segment
+const SPECTROGRAM_WINDOW = 32;        // samples per spectrogram column
+const SPECTROGRAM_HOP = 8;
+const SPECTROGRAM_HISTORY = 400;      // live samples shown in the sensors view
+const SPECTROGRAM_INTERVAL = 500;     // ms between live redraws
+
+/**
+ * In-place iterative radix-2 FFT (length must be a power of two)
+ */
+function fft(re, im) {
+    const n = re.length;
+
+    // Bit-reversal permutation
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) j ^= bit;
+        j ^= bit;
+        if (i < j) {
+            [re[i], re[j]] = [re[j], re[i]];
+            [im[i], im[j]] = [im[j], im[i]];
+        }
+    }
+
+    for (let size = 2; size <= n; size <<= 1) {
+        const angle = -2 * Math.PI / size;
+        const wRe = Math.cos(angle);
+        const wIm = Math.sin(angle);
+
+        for (let start = 0; start < n; start += size) {
+            let curRe = 1;
+            let curIm = 0;
+            for (let k = 0; k < size / 2; k++) {
+                const a = start + k;
+                const b = a + size / 2;
+                const tRe = re[b] * curRe - im[b] * curIm;
+                const tIm = re[b] * curIm + im[b] * curRe;
+
+                re[b] = re[a] - tRe;
+                im[b] = im[a] - tIm;
+                re[a] += tRe;
+                im[a] += tIm;
+
+                const nextRe = curRe * wRe - curIm * wIm;
+                curIm = curRe * wIm + curIm * wRe;
+                curRe = nextRe;
+            }
+        }
+    }
+}
+
+/**
+ * Smallest power of two >= n
+ */
+function nextPowerOfTwo(n) {
+    let size = 1;
+    while (size < n) size <<= 1;
+    return size;
+}
+
+/**
+ * Hann window of length n
+ */
+function hannWindow(n) {
+    if (n === 1) return [1];
+    return Array.from({ length: n }, (_, i) => 0.5 * (1 - Math.cos(2 * Math.PI * i / (n - 1))));
+}
+
+/**
+ * One-sided power spectrum of a single (mean-removed, windowed) segment
+ */
+function segmentPowerSpectrum(segment, window, fftSize) {
+    const mean = segment.reduce((sum, val) => sum + val, 0) / segment.length;
+    const re = new Array(fftSize).fill(0);
+    const im = new Array(fftSize).fill(0);
+    segment.forEach((value, i) => {
+        re[i] = (value - mean) * window[i];
+    });
+
+    fft(re, im);
+
+    const power = [];
+    for (let k = 0; k <= fftSize / 2; k++) {
+        power.push(re[k] * re[k] + im[k] * im[k]);
+    }
+    return power;
+}
+
+/**
+ * Welch power spectral density. Returns { frequencies, power } (power in units²/Hz).
+ */
+function powerSpectralDensity(signal, sampleRate, segmentLength = SPECTRAL_SEGMENT, overlap = 0.5) {
+    if (!signal || signal.length < 4 || !(sampleRate > 0)) return null;
+
+    const length = Math.min(segmentLength, signal.length);
+    const fftSize = nextPowerOfTwo(length);
+    const window = hannWindow(length);
+    const windowPower = window.reduce((sum, w) => sum + w * w, 0);
+    const hop = Math.max(1, Math.floor(length * (1 - overlap)));
+
+    const total = new Array(fftSize / 2 + 1).fill(0);
+    let segments = 0;
+    for (let start = 0; start + length <= signal.length; start += hop) {
+        segmentPowerSpectrum(signal.slice(start, start + length), window, fftSize)
+            .forEach((value, k) => { total[k] += value; });
+        segments++;
+    }
+
+    const frequencies = total.map((_, k) => k * sampleRate / fftSize);
+    const power = total.map((value, k) => {
+        // One-sided: double everything except DC and Nyquist
+        const scale = k === 0 || k === fftSize / 2 ? 1 : 2;
+        return scale * value / (segments * windowPower * sampleRate);
+    });
+
+    return { frequencies, power };
+}
+
+/**
+ * Short-time spectrogram. power[column][bin] in dB.
+ */
+function computeSpectrogram(signal, sampleRate, windowSize = SPECTROGRAM_WINDOW, hop = SPECTROGRAM_HOP) {
+    if (!signal || signal.length < windowSize || !(sampleRate > 0)) return null;
+
+    const fftSize = nextPowerOfTwo(windowSize);
+    const window = hannWindow(windowSize);
+    const times = [];
+    const power = [];
+
+    for (let start = 0; start + windowSize <= signal.length; start += hop) {
+        const spectrum = segmentPowerSpectrum(signal.slice(start, start + windowSize), window, fftSize);
+        power.push(spectrum.map(value => 10 * Math.log10(value + 1e-12)));
+        times.push((start + windowSize / 2) / sampleRate);
+    }
+
+    return {
+        times,
+        frequencies: power[0].map((_, k) => k * sampleRate / fftSize),
+        power
+    };
+}
+
+/**
+ * Share of signal energy above a cutoff, plus the dominant frequency
+ */
+function calculateSpectralMetrics(signal, sampleRate, cutoff = SPECTRAL_CUTOFF) {
+    const psd = powerSpectralDensity(signal, sampleRate);
+    if (!psd) return null;
+
+    // Cutoff can't be above what the sample rate can represent
+    const effectiveCutoff = Math.min(cutoff, sampleRate / 4);
+
+    let totalEnergy = 0;
+    let highEnergy = 0;
+    let dominantIndex = 1;
+    psd.power.forEach((value, k) => {
+        if (k === 0) return;
+        totalEnergy += value;
+        if (psd.frequencies[k] > effectiveCutoff) highEnergy += value;
+        if (value > psd.power[dominantIndex]) dominantIndex = k;
+    });
+
+    const highFrequencyShare = totalEnergy > 0 ? (highEnergy / totalEnergy) * 100 : 0;
+
+    return {
+        cutoff: effectiveCutoff,
+        highFrequencyShare,
+        dominantFrequency: psd.frequencies[dominantIndex],
+        // 10% of energy above the cutoff already looks wobbly
+        spectralSmoothness: clamp(100 - highFrequencyShare * 5, 0, 100),
+        psd
+    };
+}
+
+/**
+ * Redraw the live spectrogram in the sensors view (throttled)
+ */
+function updateLiveSpectrogram(force = false) {
+    const now = Date.now();
+    if (!force && now - (AppState.lastSpectrogramDraw || 0) < SPECTROGRAM_INTERVAL) return;
+    AppState.lastSpectrogramDraw = now;
+
+    const canvas = document.getElementById('spectrogramCanvas');
+    if (!canvas) return;
+
+    const recent = AppState.sensorData.slice(-SPECTROGRAM_HISTORY);
+    const sampleRate = estimateSampleRate(recent.map(d => ({ time: d.timestamp })));
+    const signal = recent.map(d => d.acceleration.magnitude);
+
+    const spectrogram = computeSpectrogram(signal, sampleRate);
+    drawSpectrogram(canvas, spectrogram);
+
+    const metrics = calculateSpectralMetrics(signal, sampleRate);
+    const dominant = document.getElementById('dominantFrequency');
+    const highShare = document.getElementById('highFrequencyShare');
+    if (dominant) dominant.textContent = metrics ? formatNumber(metrics.dominantFrequency, 1) : '0.0';
+    if (highShare) highShare.textContent = metrics ? Math.round(metrics.highFrequencyShare) : '0';
+}
+
+/**
+ * Paint a spectrogram: time left to right, frequency bottom to top
+ */
+function drawSpectrogram(canvas, spectrogram) {
+    const ctx = canvas.getContext('2d');
+    const rect = canvas.getBoundingClientRect();
+    const width = rect.width || canvas.width;
+    const height = rect.height || canvas.height;
+    const dpr = getPixelRatio();
+
+    if (canvas.width !== Math.round(width * dpr)) {
+        canvas.width = width * dpr;
+        canvas.height = height * dpr;
+    }
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+
+    if (!spectrogram) {
+        drawSensorGrid(ctx, canvas, width, height);
+        return;
+    }
+
+    const { power, frequencies } = spectrogram;
+    const all = power.flat();
+    const max = Math.max(...all);
+    const min = Math.max(Math.min(...all), max - 60); // 60dB of dynamic range
+
+    const columnWidth = width / power.length;
+    const rowHeight = height / frequencies.length;
+
+    power.forEach((column, c) => {
+        column.forEach((value, k) => {
+            const level = clamp((value - min) / (max - min || 1), 0, 1);
+            // Dark blue (quiet) through to yellow (loud)
+            ctx.fillStyle = `hsl(${240 - level * 180}, 80%, ${15 + level * 50}%)`;
+            ctx.fillRect(c * columnWidth, height - (k + 1) * rowHeight, columnWidth + 0.5, rowHeight + 0.5);
+        });
+    });
+
+    // Frequency labels
+    ctx.fillStyle = '#fff';
+    ctx.font = '10px sans-serif';
+    ctx.fillText(`${Math.round(frequencies[frequencies.length - 1])}Hz`, 4, 12);
+    ctx.fillText('0Hz', 4, height - 4);
+}
@@ -0,0 +1,208 @@
+// Spoken Results - js/speech.js
+//
+// Reads the result aloud with the Web Speech synthesis API so students
+// don't have to pick the phone up off the mat. Off by default.
+
+const DEFAULT_SPEECH_SETTINGS = {
+    enabled: false,
+    lang: '',          // '' = browser default
+    voice: '',         // voiceURI, '' = first voice for the language
+    rate: 1,
+    verbosity: 'normal'
+};
+
+const SPEECH_VERBOSITY = {
+    brief: 'Score only',
+    normal: 'Score, weakest area and top cue',
+    detailed: 'Everything, plus roll type and peak force'
+};
+
+const SPEECH_DELAY = 800; // ms - let the score tones finish first
+
+/**
+ * Whether this browser can speak
+ */
+function isSpeechSupported() {
+    return typeof window.speechSynthesis !== 'undefined' && typeof window.SpeechSynthesisUtterance !== 'undefined';
+}
+
+/**
+ * Load speech settings from localStorage
+ */
+function loadSpeechSettings() {
+    AppState.speechSettings = { ...DEFAULT_SPEECH_SETTINGS };
+
+    try {
+        const saved = localStorage.getItem('rollSpeechSettings');
+        if (saved) Object.assign(AppState.speechSettings, JSON.parse(saved));
+    } catch (error) {
+        addLog('Storage error', 'Failed to load speech settings');
+        console.error('Failed to load speech settings:', error);
+    }
+
+    // Voices load asynchronously on most browsers
+    if (isSpeechSupported()) {
+        window.speechSynthesis.addEventListener('voiceschanged', renderSpeechSettings);
+    }
+    renderSpeechSettings();
+}
+
+/**
+ * Fill the speech settings form, including the language and voice lists
+ */
+function renderSpeechSettings() {
+    const settings = AppState.speechSettings;
+    const supported = isSpeechSupported();
+    const voices = supported ? window.speechSynthesis.getVoices() : [];
+
+    const enabled = document.getElementById('speechEnabled');
+    if (enabled) {
+        enabled.checked = settings.enabled && supported;
+        enabled.disabled = !supported;
+    }
+
+    const langSelect = document.getElementById('speechLang');
+    if (langSelect) {
+        const langs = Array.from(new Set(voices.map(voice => voice.lang))).sort();
+        langSelect.innerHTML = `<option value="">Browser default</option>` + langs.map(lang => `
+            <option value="${escapeHtml(lang)}" ${lang === settings.lang ? 'selected' : ''}>${escapeHtml(lang)}</option>
+        `).join('');
+    }
+
+    const voiceSelect = document.getElementById('speechVoice');
+    if (voiceSelect) {
+        const matching = voices.filter(voice => !settings.lang || voice.lang === settings.lang);
+        voiceSelect.innerHTML = `<option value="">Default voice</option>` + matching.map(voice => `
+            <option value="${escapeHtml(voice.voiceURI)}" ${voice.voiceURI === settings.voice ? 'selected' : ''}>
+                ${escapeHtml(voice.name)}
+            </option>
+        `).join('');
+    }
+
+    const verbosity = document.getElementById('speechVerbosity');
+    if (verbosity) {
+        verbosity.innerHTML = Object.keys(SPEECH_VERBOSITY).map(key => `
+            <option value="${key}" ${key === settings.verbosity ? 'selected' : ''}>${SPEECH_VERBOSITY[key]}</option>
+        `).join('');
+    }
+
+    const rate = document.getElementById('speechRate');
+    if (rate) rate.value = settings.rate;
+
+    const hint = document.getElementById('speechSupport');
+    if (hint) hint.textContent = supported ? '' : 'Speech synthesis is not available in this browser.';
+}
+
+/**
+ * Read the speech form and save it
+ */
+function updateSpeechSettings() {
+    const previousLang = AppState.speechSettings.lang;
+    const lang = document.getElementById('speechLang').value;
+
+    AppState.speechSettings = {
+        enabled: document.getElementById('speechEnabled').checked,
+        lang,
+        // A voice from another language no longer applies
+        voice: lang === previousLang ? document.getElementById('speechVoice').value : '',
+        rate: clamp(parseFloat(document.getElementById('speechRate').value) || 1, 0.5, 2),
+        verbosity: document.getElementById('speechVerbosity').value
+    };
+
+    try {
+        localStorage.setItem('rollSpeechSettings', JSON.stringify(AppState.speechSettings));
+    } catch (error) {
+        addLog('Storage error', 'Failed to save speech settings');
+        console.error('Failed to save speech settings:', error);
+    }
+
+    renderSpeechSettings();
+}
+
+/**
+ * Speak a sentence with the configured voice, replacing anything queued
+ */
+function speak(text) {
+    if (!isSpeechSupported() || !text) return;
+
+    const settings = AppState.speechSettings;
+    const utterance = new SpeechSynthesisUtterance(text);
+    utterance.rate = settings.rate;
+    if (settings.lang) utterance.lang = settings.lang;
+
+    const voice = window.speechSynthesis.getVoices().find(v => v.voiceURI === settings.voice);
+    if (voice) utterance.voice = voice;
+
+    window.speechSynthesis.cancel();
+    window.speechSynthesis.speak(utterance);
+}
+
+/**
+ * Lowest-scoring component that counts towards the score
+ */
+function findWeakestComponent(metrics, profile) {
+    const components = calculateScoreComponents(metrics, profile);
+    let weakest = null;
+
+    Object.keys(components).forEach(key => {
+        const value = components[key];
+        if (value === null || value === undefined || !(profile.weights[key] > 0)) return;
+        if (!weakest || value < weakest.score) {
+            weakest = { key, label: SCORE_COMPONENTS[key] || key, score: value };
+        }
+    });
+
+    return weakest;
+}
+
+/**
+ * Build the sentence read out after a roll
+ */
+function buildResultSpeech({ score, profile, metrics, faults }, verbosity = AppState.speechSettings.verbosity) {
+    const parts = [];
+
+    if (verbosity === 'detailed') {
+        parts.push(`${profile.name}.`);
+        parts.push(`Score ${score}, grade ${getScoreGrade(score).replace('+', ' plus')}.`);
+    } else {
+        parts.push(`Score ${score}.`);
+    }
+
+    if (verbosity === 'brief') return parts.join(' ');
+
+    const weakest = findWeakestComponent(metrics, profile);
+    if (weakest && weakest.score < 90) {
+        parts.push(`Weakest area: ${weakest.label.toLowerCase()}, ${Math.round(weakest.score)}.`);
+    }
+
+    if (faults && faults.length > 0) {
+        parts.push(`${faults[0].name}. ${faults[0].cue}`);
+    }
+
+    if (verbosity === 'detailed') {
+        parts.push(`Peak force ${metrics.peakForce.toFixed(1)} G over ${metrics.rollTime.toFixed(1)} seconds.`);
+    }
+
+    return parts.join(' ');
+}
+
+/**
+ * Read a finished roll's result aloud, if enabled
+ */
+function speakRollResult(result) {
+    if (!AppState.speechSettings.enabled) return;
+
+    const text = buildResultSpeech(result);
+    setTimeout(() => speak(text), SPEECH_DELAY);
+}
+
+/**
+ * Say a sample sentence with the current settings
+ */
+function testSpeech() {
+    if (!isSpeechSupported()) {
+        showNotification('Speech synthesis is not available in this browser', 'warning');
+        return;
+    }
+    speak('Score 85. Weakest area: smoothness, 62. Keep your back rounded.');
+}
@@ -0,0 +1,442 @@
+// Session Storage - js/storage.js
+//
+// Sessions live in IndexedDB so history isn't capped by the ~5MB localStorage
+// quota. Two object stores:
+//   sessions - summaries (everything but the samples), indexed by timestamp and
+//              by [profileId, timestamp] for paging one roll type
+//   samples  - { sessionId, rawData } loaded only when a roll's trace is needed
+// AppState.sessionHistory keeps every summary in memory, newest first.
+// Without IndexedDB the old capped localStorage history is used instead.
+
+const SESSION_DB_NAME = 'slowYourRoll';
+const SESSION_DB_VERSION = 1;
+const LOCAL_HISTORY_LIMIT = 50;     // sessions kept when falling back to localStorage
+const HISTORY_PAGE_SIZE = 20;
+const STORAGE_WARNING_SHARE = 0.8;  // warn once usage passes this share of the quota
+
+/**
+ * Wrap an IDBRequest in a promise
+ */
+function idbRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Resolve when a transaction has committed
+ */
+function idbTransactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+}
+
+/**
+ * Open (and on first run create) the session database
+ */
+function openSessionStore() {
+    if (AppState.sessionDb) return Promise.resolve(AppState.sessionDb);
+    if (typeof indexedDB === 'undefined') return Promise.reject(new Error('IndexedDB is not available'));
+
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(SESSION_DB_NAME, SESSION_DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            const sessions = db.createObjectStore('sessions', { keyPath: 'id' });
+            sessions.createIndex('timestamp', 'timestamp');
+            sessions.createIndex('profileTimestamp', ['profileId', 'timestamp']);
+            db.createObjectStore('samples', { keyPath: 'sessionId' });
+        };
+        // Once blocked, the caller has fallen back to localStorage: a late
+        // success must not start a second store alongside it
+        let settled = false;
+        request.onsuccess = () => {
+            const db = request.result;
+            if (settled) {
+                db.close();
+                return;
+            }
+            settled = true;
+
+            // Let another tab upgrade the database instead of blocking it
+            db.onversionchange = () => {
+                db.close();
+                addLog('Storage', 'Session database changed in another tab');
+                showNotification('Session storage was updated in another tab - reload to keep saving', 'warning');
+            };
+            AppState.sessionDb = db;
+            resolve(db);
+        };
+        request.onerror = () => {
+            settled = true;
+            reject(request.error);
+        };
+        request.onblocked = () => {
+            settled = true;
+            reject(new Error('Session database is open in another tab'));
+        };
+    });
+}
+
+/**
+ * Session without its samples, as kept in memory and in the sessions store
+ */
+function summarizeSession(session) {
+    const { rawData, ...summary } = session;
+    if (rawData) {
+        summary.sampleCount = rawData.length;
+        summary.hasSamples = rawData.length > 0;
+    }
+    return summary;
+}
+
+/**
+ * Write a new session: summary and samples in one transaction
+ */
+function putSession(session) {
+    return openSessionStore().then(db => {
+        const transaction = db.transaction(['sessions', 'samples'], 'readwrite');
+        transaction.objectStore('sessions').put(summarizeSession(session));
+        if (session.rawData && session.rawData.length > 0) {
+            transaction.objectStore('samples').put({ sessionId: session.id, rawData: session.rawData });
+        }
+        return idbTransactionDone(transaction);
+    });
+}
+
+/**
+ * Rewrite one session summary (after its label, approval or score changes)
+ */
+function putSessionSummary(session) {
+    return openSessionStore().then(db => {
+        const transaction = db.transaction('sessions', 'readwrite');
+        transaction.objectStore('sessions').put(summarizeSession(session));
+        return idbTransactionDone(transaction);
+    });
+}
+
+/**
+ * Rewrite several summaries in one transaction (e.g. a rebuilt baseline's personal scores)
+ */
+function putSessionSummaries(sessions) {
+    return openSessionStore().then(db => {
+        const transaction = db.transaction('sessions', 'readwrite');
+        const store = transaction.objectStore('sessions');
+        sessions.forEach(session => store.put(summarizeSession(session)));
+        return idbTransactionDone(transaction);
+    });
+}
+
+/**
+ * Every summary, newest first
+ */
+function loadAllSessionSummaries() {
+    return openSessionStore().then(db => {
+        const index = db.transaction('sessions').objectStore('sessions').index('timestamp');
+        return idbRequest(index.getAll()).then(sessions => sessions.reverse());
+    });
+}
+
+/**
+ * Recorded samples for one session (null if they were cleaned up)
+ */
+function loadSessionSamples(sessionId) {
+    if (!AppState.sessionDb) {
+        const session = AppState.sessionHistory.find(s => s.id === sessionId);
+        return Promise.resolve(session && session.rawData ? session.rawData : null);
+    }
+
+    return openSessionStore()
+        .then(db => idbRequest(db.transaction('samples').objectStore('samples').get(sessionId)))
+        .then(record => record ? record.rawData : null);
+}
+
+/**
+ * Page through sessions, newest first.
+ * Filters: profileId, athleteId, from/to (ISO timestamps), minScore. Resolves { sessions, total }.
+ */
+function querySessions({ offset = 0, limit = HISTORY_PAGE_SIZE, profileId, athleteId, from, to, minScore } = {}) {
+    const matches = session =>
+        (!profileId || session.profileId === profileId) &&
+        (!athleteId || session.athleteId === athleteId) &&
+        (minScore === undefined || session.score >= minScore);
+
+    if (!AppState.sessionDb) {
+        const filtered = AppState.sessionHistory.filter(session => matches(session) &&
+            (!from || session.timestamp >= from) && (!to || session.timestamp <= to));
+        return Promise.resolve({ sessions: filtered.slice(offset, offset + limit), total: filtered.length });
+    }
+
+    return openSessionStore().then(db => new Promise((resolve, reject) => {
+        const store = db.transaction('sessions').objectStore('sessions');
+        let index;
+        let range = null;
+        if (profileId) {
+            // Only this roll type's sessions are walked
+            index = store.index('profileTimestamp');
+            range = IDBKeyRange.bound([profileId, from || ''], [profileId, to || '\uffff']);
+        } else {
+            index = store.index('timestamp');
+            if (from && to) range = IDBKeyRange.bound(from, to);
+            else if (from) range = IDBKeyRange.lowerBound(from);
+            else if (to) range = IDBKeyRange.upperBound(to);
+        }
+
+        const sessions = [];
+        let total = 0;
+        const request = index.openCursor(range, 'prev');
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) {
+                resolve({ sessions, total });
+                return;
+            }
+            if (matches(cursor.value)) {
+                if (total >= offset && sessions.length < limit) sessions.push(cursor.value);
+                total++;
+            }
+            cursor.continue();
+        };
+        request.onerror = () => reject(request.error);
+    }));
+}
+
+/**
+ * Delete sessions (summaries and samples)
+ */
+function deleteSessions(ids) {
+    return openSessionStore().then(db => {
+        const transaction = db.transaction(['sessions', 'samples'], 'readwrite');
+        ids.forEach(id => {
+            transaction.objectStore('sessions').delete(id);
+            transaction.objectStore('samples').delete(id);
+        });
+        return idbTransactionDone(transaction);
+    });
+}
+
+/**
+ * Drop recorded samples older than a date, keeping the summaries.
+ * Resolves with the number of sessions trimmed.
+ */
+function dropSamplesBefore(before) {
+    const old = AppState.sessionHistory.filter(s => s.timestamp < before && s.hasSamples !== false);
+
+    return openSessionStore().then(db => {
+        const transaction = db.transaction(['sessions', 'samples'], 'readwrite');
+        old.forEach(session => {
+            session.hasSamples = false;
+            transaction.objectStore('samples').delete(session.id);
+            transaction.objectStore('sessions').put(summarizeSession(session));
+        });
+        return idbTransactionDone(transaction);
+    }).then(() => old.length);
+}
+
+/**
+ * Move a localStorage history (from before IndexedDB) into the database
+ */
+function migrateLocalStorageHistory() {
+    let saved;
+    try {
+        saved = JSON.parse(localStorage.getItem('rollHistory') || 'null');
+    } catch (error) {
+        console.error('Failed to read old session history:', error);
+        return Promise.resolve(0);
+    }
+    if (!Array.isArray(saved) || saved.length === 0) return Promise.resolve(0);
+
+    return openSessionStore().then(db => {
+        const transaction = db.transaction(['sessions', 'samples'], 'readwrite');
+        saved.forEach(session => {
+            // Older sessions were saved without an id
+            if (!session.id) session.id = generateId();
+            transaction.objectStore('sessions').put(summarizeSession(session));
+            if (session.rawData && session.rawData.length > 0) {
+                transaction.objectStore('samples').put({ sessionId: session.id, rawData: session.rawData });
+            }
+        });
+        return idbTransactionDone(transaction);
+    }).then(() => {
+        // Only forget the old copy once the new one has committed
+        localStorage.removeItem('rollHistory');
+        addLog('Storage', `Migrated ${saved.length} sessions from localStorage to IndexedDB`);
+        return saved.length;
+    });
+}
+
+/**
+ * Usage, quota and session counts for the storage panel
+ */
+function getStorageReport() {
+    const estimate = navigator.storage && navigator.storage.estimate ?
+        navigator.storage.estimate().catch(() => ({})) : Promise.resolve({});
+    const persisted = navigator.storage && navigator.storage.persisted ?
+        navigator.storage.persisted().catch(() => false) : Promise.resolve(false);
+
+    return Promise.all([estimate, persisted]).then(([{ usage, quota }, isPersisted]) => ({
+        backend: AppState.sessionDb ? 'IndexedDB' : 'localStorage',
+        usage: usage || 0,
+        quota: quota || 0,
+        persisted: isPersisted,
+        sessions: AppState.sessionHistory.length,
+        withSamples: AppState.sessionHistory.filter(s => s.hasSamples !== false).length,
+        oldest: AppState.sessionHistory.length > 0 ?
+            AppState.sessionHistory[AppState.sessionHistory.length - 1].timestamp : null
+    }));
+}
+
+/**
+ * Warn when the device is running out of room for sessions
+ */
+function checkStorageQuota() {
+    return getStorageReport().then(report => {
+        if (report.quota > 0 && report.usage / report.quota > STORAGE_WARNING_SHARE && !AppState.storageWarningShown) {
+            AppState.storageWarningShown = true;
+            addLog('Storage', `Using ${formatBytes(report.usage)} of ${formatBytes(report.quota)}`);
+            showNotification('Storage is nearly full - clear old raw data in the coach view', 'warning');
+        }
+        return report;
+    });
+}
+
+/**
+ * Human-readable byte count
+ */
+function formatBytes(bytes) {
+    if (!(bytes > 0)) return '0 B';
+    const units = ['B', 'KB', 'MB', 'GB'];
+    const power = Math.min(units.length - 1, Math.floor(Math.log(bytes) / Math.log(1024)));
+    return `${(bytes / Math.pow(1024, power)).toFixed(power === 0 ? 0 : 1)} ${units[power]}`;
+}
+
+/**
+ * Storage panel placeholder for the coach view (filled by updateStoragePanel)
+ */
+function renderStoragePanel() {
+    return `
+        <details class="profile-panel storage-panel">
+            <summary><i class="fas fa-database"></i> Storage</summary>
+            <div class="storage-usage" id="storageUsage">Checking storage…</div>
+            <div class="form-grid">
+                <div class="form-field">
+                    <label for="storageCleanupAge">Older than</label>
+                    <select id="storageCleanupAge">
+                        <option value="30">30 days</option>
+                        <option value="90" selected>90 days</option>
+                        <option value="180">6 months</option>
+                        <option value="365">1 year</option>
+                    </select>
+                </div>
+            </div>
+            <p class="profile-hint">
+                Raw samples are most of the space. Dropping them keeps scores and metrics for progress
+                tracking; replays, re-scoring and reference rolls need the samples.
+            </p>
+            <div class="controls">
+                <button class="control-btn export-btn" onclick="cleanupSessionSamples()" ${AppState.sessionDb ? '' : 'disabled'}>
+                    <i class="fas fa-compress"></i> DROP RAW DATA
+                </button>
+                <button class="control-btn reset-btn" onclick="cleanupOldSessions()">
+                    <i class="fas fa-trash"></i> DELETE SESSIONS
+                </button>
+                <button class="control-btn start-btn" onclick="requestPersistentStorage()">
+                    <i class="fas fa-lock"></i> KEEP ON DEVICE
+                </button>
+            </div>
+        </details>
+    `;
+}
+
+/**
+ * Fill in the storage usage line
+ */
+function updateStoragePanel() {
+    return getStorageReport().then(report => {
+        const element = document.getElementById('storageUsage');
+        if (!element) return;
+
+        const share = report.quota > 0 ? report.usage / report.quota : 0;
+        element.className = `storage-usage ${share > STORAGE_WARNING_SHARE ? 'storage-warning' : ''}`;
+        element.innerHTML = `
+            <span>${report.backend}</span>
+            <span>${formatBytes(report.usage)}${report.quota > 0 ? ` of ${formatBytes(report.quota)} (${(share * 100).toFixed(1)}%)` : ''}</span>
+            <span>${report.sessions} sessions, ${report.withSamples} with raw data</span>
+            ${report.oldest ? `<span>since ${new Date(report.oldest).toLocaleDateString()}</span>` : ''}
+            <span>${report.persisted ? 'persistent' : 'may be cleared by the browser'}</span>
+        `;
+    });
+}
+
+/**
+ * Cutoff timestamp from the cleanup age selector
+ */
+function getCleanupCutoff() {
+    const days = parseInt(document.getElementById('storageCleanupAge').value, 10) || 90;
+    return { days, before: new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString() };
+}
+
+/**
+ * Drop raw samples from old sessions
+ */
+function cleanupSessionSamples() {
+    const { days, before } = getCleanupCutoff();
+    if (!confirm(`Drop raw sensor data from sessions older than ${days} days? Scores and metrics are kept.`)) return;
+
+    return dropSamplesBefore(before).then(count => {
+        addLog('Storage', `Dropped raw data from ${count} sessions older than ${days} days`);
+        showNotification(`Raw data removed from ${count} sessions`, 'success');
+        displaySessionHistory();
+    }).catch(error => {
+        addLog('Storage error', 'Failed to drop old raw data');
+        console.error('Failed to drop old raw data:', error);
+    });
+}
+
+/**
+ * Delete old sessions entirely
+ */
+function cleanupOldSessions() {
+    const { days, before } = getCleanupCutoff();
+    const ids = AppState.sessionHistory.filter(s => s.timestamp < before).map(s => s.id);
+    if (ids.length === 0) {
+        showNotification(`No sessions older than ${days} days`, 'info');
+        return;
+    }
+    if (!confirm(`Permanently delete ${ids.length} sessions older than ${days} days?`)) return;
+
+    const removed = new Set(ids);
+    AppState.sessionHistory = AppState.sessionHistory.filter(s => !removed.has(s.id));
+
+    const done = AppState.sessionDb ? deleteSessions(ids) : Promise.resolve(saveSessionHistory());
+    return done.then(() => {
+        addLog('Storage', `Deleted ${ids.length} sessions older than ${days} days`);
+        showNotification(`Deleted ${ids.length} sessions`, 'success');
+        displaySessionHistory();
+    }).catch(error => {
+        addLog('Storage error', 'Failed to delete old sessions');
+        console.error('Failed to delete old sessions:', error);
+    });
+}
+
+/**
+ * Ask the browser not to evict our data under storage pressure
+ */
+function requestPersistentStorage() {
+    if (!navigator.storage || !navigator.storage.persist) {
+        showNotification('This browser cannot mark storage as persistent', 'warning');
+        return;
+    }
+
+    return navigator.storage.persist().then(granted => {
+        addLog('Storage', granted ? 'Persistent storage granted' : 'Persistent storage denied');
+        showNotification(granted ? 'Sessions will be kept on this device' : 'The browser declined persistent storage',
+            granted ? 'success' : 'warning');
+        updateStoragePanel();
+    });
+}
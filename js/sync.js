@@ -0,0 +1,763 @@
+// Multi-Device Sync - js/sync.js
+
+const SYNC_DEFAULT_PORT = 8787;
+const SYNC_START_DELAY = 1500; // ms between START ALL and the shared start instant
+const SYNC_CLOCK_ROUNDS = 8;     // ping/pong exchanges per offset estimate
+const SYNC_CLOCK_BEST = 3;       // lowest-RTT exchanges used for the estimate
+const SYNC_CLOCK_SPACING = 50;   // ms between pings
+const SYNC_CLOCK_INTERVAL = 15000; // ms between re-estimates while idle
+const SYNC_ALIGN_STEP = 10;      // ms between samples on the shared timeline
+const SYNC_SEGMENTS = {
+    hip: 'Hip',
+    shoulder: 'Shoulder',
+    ankle: 'Ankle'
+};
+
+/**
+ * Available transports. Each factory returns an object with
+ * connect(), send(message) and close(), and calls its onmessage/onclose hooks.
+ */
+const SyncTransports = {
+    websocket: createWebSocketTransport,
+    broadcast: createBroadcastTransport
+};
+
+/**
+ * Create a transport that talks to the relay server (server/relay.js)
+ */
+function createWebSocketTransport(options) {
+    let socket = null;
+
+    const transport = {
+        name: 'websocket',
+        onmessage: null,
+        onclose: null,
+
+        connect() {
+            return new Promise((resolve, reject) => {
+                socket = new WebSocket(options.url);
+                socket.addEventListener('open', () => resolve());
+                socket.addEventListener('error', () => reject(new Error(`Could not reach relay at ${options.url}`)));
+                socket.addEventListener('message', (event) => {
+                    let message;
+                    try {
+                        message = JSON.parse(event.data);
+                    } catch (e) {
+                        return;
+                    }
+                    if (transport.onmessage) transport.onmessage(message);
+                });
+                socket.addEventListener('close', () => {
+                    if (transport.onclose) transport.onclose();
+                });
+            });
+        },
+
+        send(message) {
+            if (socket && socket.readyState === WebSocket.OPEN) {
+                socket.send(JSON.stringify(message));
+            }
+        },
+
+        close() {
+            if (socket) {
+                socket.close();
+                socket = null;
+            }
+        }
+    };
+
+    return transport;
+}
+
+/**
+ * Create a transport between tabs of the same browser (useful for testing
+ * the sync flow without a relay)
+ */
+function createBroadcastTransport() {
+    let channel = null;
+
+    const transport = {
+        name: 'broadcast',
+        onmessage: null,
+        onclose: null,
+
+        connect() {
+            if (typeof BroadcastChannel === 'undefined') {
+                return Promise.reject(new Error('BroadcastChannel is not supported in this browser'));
+            }
+            channel = new BroadcastChannel('roll-sync');
+            channel.onmessage = (event) => {
+                if (transport.onmessage) transport.onmessage(event.data);
+            };
+            return Promise.resolve();
+        },
+
+        send(message) {
+            if (channel) channel.postMessage(message);
+        },
+
+        close() {
+            if (channel) {
+                channel.close();
+                channel = null;
+                if (transport.onclose) transport.onclose();
+            }
+        }
+    };
+
+    return transport;
+}
+
+/**
+ * Get the persistent identifier for this device
+ */
+function getDeviceId() {
+    let deviceId = null;
+    try {
+        deviceId = localStorage.getItem('rollDeviceId');
+        if (!deviceId) {
+            deviceId = generateId();
+            localStorage.setItem('rollDeviceId', deviceId);
+        }
+    } catch (error) {
+        deviceId = deviceId || generateId();
+    }
+    return deviceId;
+}
+
+/**
+ * Default relay URL: same host as the page, relay port
+ */
+function getDefaultRelayUrl() {
+    const host = window.location.hostname || 'localhost';
+    return `ws://${host}:${SYNC_DEFAULT_PORT}`;
+}
+
+/**
+ * Host the current room: this device coordinates start/stop and collects data
+ */
+function hostRoom() {
+    return connectToRoom(AppState.roomCode, true);
+}
+
+/**
+ * Join an existing room using the code typed into #joinCode
+ */
+function joinRoom() {
+    const input = document.getElementById('joinCode');
+    const code = input ? input.value.trim().toUpperCase() : '';
+
+    if (!/^[A-Z0-9]{4}$/.test(code)) {
+        showNotification('Enter the 4-character room code shown on the host device', 'warning');
+        return Promise.resolve(false);
+    }
+
+    // Ask for motion access now, while we still have a user gesture
+    return requestMotionPermission().then(granted => {
+        if (!granted) return false;
+        return connectToRoom(code, false);
+    });
+}
+
+/**
+ * Connect to a room over the selected transport
+ */
+async function connectToRoom(code, isHost) {
+    if (AppState.sync.connected) {
+        leaveRoom();
+    }
+
+    const transportSelect = document.getElementById('syncTransport');
+    const relayInput = document.getElementById('syncRelayUrl');
+    const segmentSelect = document.getElementById('syncSegment');
+
+    const transportName = transportSelect ? transportSelect.value : 'websocket';
+    const factory = SyncTransports[transportName];
+    if (!factory) {
+        showNotification(`Unknown transport: ${transportName}`, 'error');
+        return false;
+    }
+
+    const transport = factory({
+        url: (relayInput && relayInput.value.trim()) || getDefaultRelayUrl()
+    });
+
+    try {
+        await transport.connect();
+    } catch (error) {
+        addLog('Multi-device', error.message);
+        showNotification(error.message, 'error');
+        return false;
+    }
+
+    Object.assign(AppState.sync, {
+        transport,
+        connected: true,
+        isHost,
+        room: code,
+        deviceId: getDeviceId(),
+        segment: segmentSelect ? segmentSelect.value : 'hip',
+        hostId: isHost ? getDeviceId() : null,
+        peers: {},
+        streams: {},
+        clockOffset: 0,
+        clockRtt: null,
+        clockSpread: null,
+        aligned: null,
+        analysis: null,
+        sessionActive: false
+    });
+
+    AppState.roomCode = code;
+    transport.onmessage = handleSyncMessage;
+    transport.onclose = handleSyncDisconnect;
+
+    sendSyncMessage({ type: 'join', segment: AppState.sync.segment, isHost });
+
+    if (!isHost) {
+        // Clocks drift, so keep re-measuring while nothing is being recorded
+        AppState.sync.clockTimer = setInterval(() => {
+            if (!AppState.isRecording) estimateClockOffset();
+        }, SYNC_CLOCK_INTERVAL);
+    }
+
+    updateSyncUI();
+    addLog('Multi-device', `${isHost ? 'Hosting' : 'Joined'} room ${code} via ${transport.name} as ${AppState.sync.segment}`);
+    showNotification(`${isHost ? 'Hosting' : 'Joined'} room ${code}`, 'success');
+    return true;
+}
+
+/**
+ * Leave the current room
+ */
+function leaveRoom() {
+    const sync = AppState.sync;
+    if (!sync.connected) return;
+
+    sendSyncMessage({ type: 'leave' });
+    sync.transport.onclose = null;
+    sync.transport.close();
+
+    resetSyncState();
+    updateSyncUI();
+    addLog('Multi-device', 'Left room');
+}
+
+/**
+ * Handle the transport closing underneath us
+ */
+function handleSyncDisconnect() {
+    if (!AppState.sync.connected) return;
+    resetSyncState();
+    updateSyncUI();
+    addLog('Multi-device', 'Connection to room lost');
+    showNotification('Connection to room lost', 'warning');
+}
+
+/**
+ * Reset sync state after leaving or losing a room
+ */
+function resetSyncState() {
+    clearInterval(AppState.sync.clockTimer);
+
+    Object.assign(AppState.sync, {
+        clockTimer: null,
+        clockSamples: null,
+        transport: null,
+        connected: false,
+        isHost: false,
+        hostId: null,
+        peers: {},
+        sessionActive: false
+    });
+}
+
+/**
+ * Send a message to the room (or to one peer when message.to is set)
+ */
+function sendSyncMessage(message) {
+    const sync = AppState.sync;
+    if (!sync.connected || !sync.transport) return;
+
+    sync.transport.send({
+        ...message,
+        room: sync.room,
+        from: sync.deviceId
+    });
+}
+
+/**
+ * Dispatch an incoming room message
+ */
+function handleSyncMessage(message) {
+    const sync = AppState.sync;
+    if (!message || message.room !== sync.room || message.from === sync.deviceId) return;
+    if (message.to && message.to !== sync.deviceId) return;
+
+    switch (message.type) {
+        case 'join':
+            addSyncPeer(message);
+            sendSyncMessage({ type: 'announce', to: message.from, segment: sync.segment, isHost: sync.isHost });
+            addLog('Multi-device', `${SYNC_SEGMENTS[message.segment] || message.segment} device joined`);
+            break;
+        case 'announce':
+            addSyncPeer(message);
+            break;
+        case 'leave':
+            removeSyncPeer(message.from);
+            break;
+        case 'ping':
+            sendSyncMessage({ type: 'pong', to: message.from, t0: message.t0, t1: getTimestamp() });
+            break;
+        case 'pong':
+            handleSyncPong(message);
+            break;
+        case 'start':
+            if (!sync.isHost) scheduleSyncedStart(message.startAt);
+            break;
+        case 'stop':
+            if (!sync.isHost && AppState.isRecording) stopRecording();
+            break;
+        case 'data':
+            if (sync.isHost) receiveDeviceStream(message);
+            break;
+        default:
+            break;
+    }
+}
+
+/**
+ * Track a peer in the room
+ */
+function addSyncPeer(message) {
+    const sync = AppState.sync;
+    sync.peers[message.from] = {
+        deviceId: message.from,
+        segment: message.segment,
+        isHost: !!message.isHost
+    };
+
+    if (message.isHost) {
+        sync.hostId = message.from;
+        // Measure our clock against the host as soon as we know who it is
+        if (!sync.isHost) estimateClockOffset();
+    }
+
+    updateSyncUI();
+}
+
+/**
+ * Forget a peer that left the room
+ */
+function removeSyncPeer(deviceId) {
+    const sync = AppState.sync;
+    const peer = sync.peers[deviceId];
+    if (!peer) return;
+
+    delete sync.peers[deviceId];
+    if (sync.hostId === deviceId) {
+        sync.hostId = null;
+        showNotification('Host left the room', 'warning');
+    }
+
+    updateSyncUI();
+    addLog('Multi-device', `${SYNC_SEGMENTS[peer.segment] || peer.segment} device left`);
+}
+
+/**
+ * Estimate the offset to the host clock, NTP style: several ping/pong
+ * exchanges, keep the ones with the shortest round trip and take their median
+ */
+function estimateClockOffset() {
+    const sync = AppState.sync;
+    if (!sync.connected || sync.isHost || !sync.hostId || sync.clockSamples) return;
+
+    sync.clockSamples = [];
+
+    for (let i = 0; i < SYNC_CLOCK_ROUNDS; i++) {
+        setTimeout(() => {
+            sendSyncMessage({ type: 'ping', to: sync.hostId, t0: getTimestamp() });
+        }, i * SYNC_CLOCK_SPACING);
+    }
+
+    // Use whatever came back if some pongs are lost
+    setTimeout(applyClockEstimate, SYNC_CLOCK_ROUNDS * SYNC_CLOCK_SPACING + 1000);
+}
+
+/**
+ * Record one ping/pong exchange with the host
+ */
+function handleSyncPong(message) {
+    const sync = AppState.sync;
+    if (message.from !== sync.hostId || !sync.clockSamples) return;
+
+    const t3 = getTimestamp();
+    sync.clockSamples.push({
+        // The host stamps t1 as it replies, so receive and transmit times coincide
+        offset: message.t1 - (message.t0 + t3) / 2,
+        rtt: t3 - message.t0
+    });
+
+    if (sync.clockSamples.length === SYNC_CLOCK_ROUNDS) {
+        applyClockEstimate();
+    }
+}
+
+/**
+ * Turn collected exchanges into the clock offset estimate
+ */
+function applyClockEstimate() {
+    const sync = AppState.sync;
+    const samples = sync.clockSamples;
+    sync.clockSamples = null;
+    if (!samples || samples.length === 0) return;
+
+    const best = samples
+        .sort((a, b) => a.rtt - b.rtt)
+        .slice(0, SYNC_CLOCK_BEST);
+    const offsets = best.map(sample => sample.offset).sort((a, b) => a - b);
+
+    sync.clockOffset = offsets[Math.floor(offsets.length / 2)];
+    sync.clockRtt = best[0].rtt;
+    sync.clockSpread = offsets[offsets.length - 1] - offsets[0];
+
+    updateSyncUI();
+    addLog('Multi-device', `Clock offset to host: ${sync.clockOffset.toFixed(1)}ms ` +
+        `(RTT ${sync.clockRtt.toFixed(1)}ms, spread ${sync.clockSpread.toFixed(1)}ms, ${samples.length} exchanges)`);
+}
+
+/**
+ * Convert a host-clock timestamp to this device's clock
+ */
+function hostToLocalTime(hostTime) {
+    return hostTime - AppState.sync.clockOffset;
+}
+
+/**
+ * Convert a local timestamp to the host clock
+ */
+function localToHostTime(localTime) {
+    return localTime + AppState.sync.clockOffset;
+}
+
+/**
+ * Start recording at the agreed instant (given in host clock)
+ */
+function scheduleSyncedStart(startAt) {
+    const sync = AppState.sync;
+    const delay = Math.max(0, hostToLocalTime(startAt) - getTimestamp());
+
+    sync.sessionActive = true;
+    sync.startAt = startAt;
+    sync.streams = {};
+
+    setTimeout(() => {
+        if (!sync.sessionActive || AppState.isRecording) return;
+        startRecording(true);
+        updateMultiControls(true);
+    }, delay);
+
+    addLog('Multi-device', `Synchronized start in ${Math.round(delay)}ms`);
+}
+
+/**
+ * Called by stopRecording() so synced devices hand their data over
+ */
+function onSyncedRecordingStopped() {
+    const sync = AppState.sync;
+    if (!sync.connected || !sync.sessionActive) return;
+
+    sync.sessionActive = false;
+    updateMultiControls(false);
+
+    const stream = {
+        from: sync.deviceId,
+        segment: sync.segment,
+        startTime: AppState.startTime,
+        clockOffset: sync.clockOffset,
+        samples: AppState.accelerationData
+    };
+
+    if (sync.isHost) {
+        // The host may have stopped on its own timer; make sure everyone stops
+        sendSyncMessage({ type: 'stop' });
+        receiveDeviceStream(stream);
+    } else {
+        sendSyncMessage({ type: 'data', ...stream });
+        addLog('Multi-device', `Sent ${stream.samples.length} samples to host`);
+    }
+}
+
+/**
+ * Store a device's recording on the host and refresh the graphs
+ */
+function receiveDeviceStream(message) {
+    const sync = AppState.sync;
+
+    sync.streams[message.from] = {
+        deviceId: message.from,
+        segment: message.segment,
+        startTime: message.startTime,
+        clockOffset: message.clockOffset || 0,
+        samples: message.samples || []
+    };
+
+    addLog('Multi-device', `Received ${sync.streams[message.from].samples.length} samples from ${SYNC_SEGMENTS[message.segment] || message.segment}`);
+    renderMultiDeviceGraphs();
+}
+
+/**
+ * Put every device's samples on the host clock and resample them onto one
+ * shared timeline (ms from the synchronized start) covering their overlap
+ */
+function alignDeviceStreams(streams, startAt, step = SYNC_ALIGN_STEP) {
+    const shifted = streams
+        .filter(stream => stream.samples.length > 1)
+        .map(stream => ({
+            deviceId: stream.deviceId,
+            segment: stream.segment,
+            samples: stream.samples.map(sample => ({
+                ...sample,
+                time: stream.startTime + sample.time + stream.clockOffset - startAt
+            }))
+        }));
+
+    if (shifted.length === 0) return null;
+
+    const start = Math.max(...shifted.map(stream => stream.samples[0].time));
+    const end = Math.min(...shifted.map(stream => stream.samples[stream.samples.length - 1].time));
+    if (end <= start) return null;
+
+    const timeline = [];
+    for (let time = start; time <= end; time += step) {
+        timeline.push(time);
+    }
+
+    return {
+        timeline,
+        step,
+        streams: shifted.map(stream => ({
+            deviceId: stream.deviceId,
+            segment: stream.segment,
+            samples: resampleToTimeline(stream.samples, timeline)
+        }))
+    };
+}
+
+/**
+ * Draw every device's magnitude trace on the shared timeline
+ */
+function renderMultiDeviceGraphs() {
+    const container = document.getElementById('multiDeviceGraphs');
+    if (!container) return;
+
+    const sync = AppState.sync;
+    sync.aligned = alignDeviceStreams(Object.values(sync.streams), sync.startAt);
+
+    if (!sync.aligned) {
+        container.innerHTML = '';
+        return;
+    }
+
+    if (!document.getElementById('multiDeviceChart')) {
+        container.innerHTML = `
+            <div class="graph-container">
+                <canvas id="multiDeviceChart"></canvas>
+            </div>
+            <div id="segmentBreakdown"></div>
+        `;
+    }
+
+    const colors = {
+        hip: 'rgba(102, 126, 234, 1)',
+        shoulder: 'rgba(244, 67, 54, 1)',
+        ankle: 'rgba(76, 175, 80, 1)'
+    };
+
+    const datasets = sync.aligned.streams.map(stream => ({
+        label: SYNC_SEGMENTS[stream.segment] || stream.segment,
+        data: stream.samples.map(sample => ({
+            x: sample.time / 1000,
+            y: sample.magnitude
+        })),
+        borderColor: colors[stream.segment] || '#666',
+        backgroundColor: 'transparent',
+        borderWidth: 2,
+        pointRadius: 0,
+        tension: 0.2
+    }));
+
+    if (AppState.charts.multi) {
+        AppState.charts.multi.destroy();
+    }
+
+    AppState.charts.multi = new Chart(document.getElementById('multiDeviceChart').getContext('2d'), {
+        type: 'line',
+        data: { datasets },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            scales: {
+                x: { type: 'linear', title: { display: true, text: 'Time (s)' } },
+                y: { title: { display: true, text: 'Acceleration (G)' }, suggestedMin: 0, suggestedMax: 2.5 }
+            },
+            plugins: {
+                legend: { display: true }
+            },
+            animation: { duration: 0 }
+        }
+    });
+
+    sync.analysis = analyzeMultiSegment(sync.aligned);
+    renderSegmentBreakdown(sync.analysis);
+}
+
+/**
+ * Update the room UI: device count, peer list and buttons
+ */
+function updateSyncUI() {
+    const sync = AppState.sync;
+    const peers = Object.values(sync.peers);
+
+    AppState.connectedDevices = 1 + peers.length;
+
+    const countElement = document.getElementById('deviceCount');
+    if (countElement) countElement.textContent = AppState.connectedDevices;
+
+    const roomCodeElement = document.getElementById('roomCode');
+    if (roomCodeElement && sync.connected) roomCodeElement.textContent = sync.room;
+
+    const statusElement = document.getElementById('syncStatus');
+    if (statusElement) {
+        statusElement.textContent = sync.connected ? (sync.isHost ? 'Host' : 'Member') : 'Offline';
+        statusElement.className = `status-badge ${sync.connected ? 'status-ready' : 'status-waiting'}`;
+    }
+
+    const clockElement = document.getElementById('syncClock');
+    if (clockElement) {
+        clockElement.textContent = sync.connected && !sync.isHost && sync.clockRtt !== null ?
+            `Clock ${sync.clockOffset >= 0 ? '+' : ''}${sync.clockOffset.toFixed(1)}ms ` +
+            `±${(sync.clockRtt / 2).toFixed(1)}ms` : '';
+    }
+
+    const peerList = document.getElementById('syncPeers');
+    if (peerList) {
+        const self = sync.connected ?
+            [{ segment: sync.segment, isHost: sync.isHost, self: true }] : [];
+        peerList.innerHTML = self.concat(peers).map(peer => `
+            <li>
+                <i class="fas fa-mobile-alt"></i>
+                ${escapeHtml(SYNC_SEGMENTS[peer.segment] || peer.segment || 'Unknown')}
+                ${peer.isHost ? '<span class="sync-tag">host</span>' : ''}
+                ${peer.self ? '<span class="sync-tag">this device</span>' : ''}
+            </li>
+        `).join('');
+    }
+
+    const leaveBtn = document.getElementById('syncLeaveBtn');
+    if (leaveBtn) leaveBtn.disabled = !sync.connected;
+}
+
+/**
+ * Toggle the START ALL / STOP ALL buttons
+ */
+function updateMultiControls(isRecording) {
+    const startBtn = document.querySelector('#multiMode .start-btn');
+    const stopBtn = document.querySelector('#multiMode .stop-btn');
+    const isMember = AppState.sync.connected && !AppState.sync.isHost;
+
+    if (startBtn) startBtn.disabled = isRecording || isMember;
+    if (stopBtn) stopBtn.disabled = !isRecording || isMember;
+}
+
+/**
+ * Start recording on every device in the room
+ */
+function startMultiRecording() {
+    const sync = AppState.sync;
+    if (AppState.isRecording) return;
+
+    if (!sync.connected) {
+        // No room yet: fall back to recording this device only
+        showNotification('Not connected to a room - recording this device only', 'warning');
+        startRecording();
+        addLog('Multi-device', 'Started single-device recording (no room connected)');
+        return;
+    }
+
+    if (!sync.isHost) {
+        showNotification('Only the host can start a synchronized recording', 'warning');
+        return;
+    }
+
+    const startAt = getTimestamp() + SYNC_START_DELAY;
+    sendSyncMessage({ type: 'start', startAt });
+
+    sync.sessionActive = true;
+    sync.startAt = startAt;
+    sync.streams = {};
+    renderMultiDeviceGraphs();
+
+    setTimeout(() => {
+        if (!sync.sessionActive) return;
+        startRecording(true);
+        updateMultiControls(true);
+    }, SYNC_START_DELAY);
+
+    showNotification('Starting synchronized recording...', 'info');
+    addLog('Multi-device', `Started synchronized recording for room: ${sync.room} (${AppState.connectedDevices} devices)`);
+}
+
+/**
+ * Stop recording on every device in the room
+ */
+function stopMultiRecording() {
+    const sync = AppState.sync;
+
+    if (sync.connected && sync.isHost) {
+        sendSyncMessage({ type: 'stop' });
+    }
+
+    if (AppState.isRecording) {
+        stopRecording();
+    } else if (sync.isHost) {
+        // Cancel a start that has not fired yet
+        sync.sessionActive = false;
+        updateMultiControls(false);
+    }
+
+    addLog('Multi-device', 'Stopped synchronized recording');
+}
+
+/**
+ * Create a new room code (leaves the current room)
+ */
+function generateRoom() {
+    if (AppState.sync.connected) {
+        leaveRoom();
+    }
+
+    AppState.roomCode = generateRoomCode();
+    const roomCodeElement = document.getElementById('roomCode');
+    if (roomCodeElement) {
+        roomCodeElement.textContent = AppState.roomCode;
+    }
+    showNotification(`New room code: ${AppState.roomCode}`, 'success');
+    addLog('Multi-device', `Generated new room code: ${AppState.roomCode}`);
+}
+
+/**
+ * Fill in defaults for the room form
+ */
+function initSyncUI() {
+    const relayInput = document.getElementById('syncRelayUrl');
+    if (relayInput && !relayInput.value) {
+        relayInput.placeholder = getDefaultRelayUrl();
+    }
+
+    const roomCodeElement = document.getElementById('roomCode');
+    if (roomCodeElement) roomCodeElement.textContent = AppState.roomCode;
+
+    updateSyncUI();
+}
@@ -0,0 +1,330 @@
+// Reference Template Matching - js/templates.js
+//
+// A coach marks one saved roll as the reference. New rolls are aligned to it
+// with dynamic time warping (DTW) on force and rotation rate, so a slower or
+// faster roll with the same shape still matches.
+
+const TEMPLATE_POINTS = 120;        // both traces are resampled to this many points
+const TEMPLATE_BAND = 0.25;         // Sakoe-Chiba band as a share of the trace length
+const TEMPLATE_COST_SCALE = 0.35;   // average step cost that scores ~37%
+const TEMPLATE_MATCH_COST = 0.15;   // step cost below which a section counts as aligned
+const TEMPLATE_CONNECTOR_STEP = 6;  // draw every Nth alignment pair on the chart
+
+/**
+ * Load the reference template from localStorage
+ */
+function loadReferenceTemplate() {
+    try {
+        const saved = localStorage.getItem('rollReferenceTemplate');
+        AppState.referenceTemplate = saved ? JSON.parse(saved) : null;
+    } catch (error) {
+        addLog('Storage error', 'Failed to load reference template');
+        console.error('Failed to load reference template:', error);
+        AppState.referenceTemplate = null;
+    }
+}
+
+/**
+ * Save (or remove) the reference template
+ */
+function saveReferenceTemplate() {
+    try {
+        if (AppState.referenceTemplate) {
+            localStorage.setItem('rollReferenceTemplate', JSON.stringify(AppState.referenceTemplate));
+        } else {
+            localStorage.removeItem('rollReferenceTemplate');
+        }
+    } catch (error) {
+        addLog('Storage error', 'Failed to save reference template');
+        console.error('Failed to save reference template:', error);
+    }
+}
+
+/**
+ * Make a saved session the reference roll. The trace is copied so the
+ * template survives the session dropping out of history.
+ */
+function setReferenceTemplate(sessionId) {
+    const session = AppState.sessionHistory.find(s => s.id === sessionId);
+    if (!session) return;
+
+    return loadSessionSamples(sessionId).then(rawData => {
+        if (!rawData || rawData.length < 10) {
+            showNotification('That session has no recorded trace to use as a reference', 'warning');
+            displaySessionHistory();
+            return;
+        }
+        applyReferenceTemplate(session, rawData);
+    });
+}
+
+/**
+ * Store a session's trace as the reference template
+ */
+function applyReferenceTemplate(session, rawData) {
+    AppState.referenceTemplate = {
+        sessionId: session.id,
+        createdAt: new Date().toISOString(),
+        recordedAt: session.timestamp,
+        profileName: session.profileName || 'Forward Roll',
+        score: session.score,
+        trace: rawData.map(d => ({
+            time: d.time,
+            magnitude: d.magnitude,
+            gyroMagnitude: d.gyroMagnitude || 0
+        }))
+    };
+    saveReferenceTemplate();
+    displaySessionHistory();
+
+    addLog('Template', `Reference roll set (${new Date(session.timestamp).toLocaleString()}, score ${session.score})`);
+    showNotification('Reference roll set - new rolls will be compared to it', 'success');
+}
+
+/**
+ * Stop comparing against a reference roll
+ */
+function clearReferenceTemplate() {
+    AppState.referenceTemplate = null;
+    saveReferenceTemplate();
+    renderTemplateComparison(null);
+    displaySessionHistory();
+
+    addLog('Template', 'Reference roll cleared');
+}
+
+/**
+ * Resample a trace to a fixed number of points with times from zero (ms)
+ */
+function prepareTemplateTrace(samples, points = TEMPLATE_POINTS) {
+    const start = samples[0].time;
+    const duration = samples[samples.length - 1].time - start;
+    const timeline = Array.from({ length: points }, (_, i) => start + duration * i / (points - 1));
+
+    return resampleToTimeline(samples, timeline, ['magnitude', 'gyroMagnitude']).map(point => ({
+        time: point.time - start,
+        magnitude: point.magnitude,
+        // Same weighting as the armed-mode activity signal
+        features: [point.magnitude - 1, (point.gyroMagnitude || 0) / ARMED_GYRO_SCALE]
+    }));
+}
+
+/**
+ * Dynamic time warping between two feature sequences.
+ * Returns { distance, path: [[i, j, cost], ...] } with i indexing `a` and j indexing `b`.
+ */
+function dtwAlign(a, b, band = TEMPLATE_BAND) {
+    const n = a.length;
+    const m = b.length;
+    const window = Math.max(Math.ceil(Math.max(n, m) * band), Math.abs(n - m));
+    const stepCost = (i, j) => Math.sqrt(a[i].reduce((sum, value, k) => sum + (value - b[j][k]) ** 2, 0));
+
+    const total = Array.from({ length: n }, () => new Array(m).fill(Infinity));
+    for (let i = 0; i < n; i++) {
+        for (let j = Math.max(0, i - window); j < Math.min(m, i + window + 1); j++) {
+            const cost = stepCost(i, j);
+            if (i === 0 && j === 0) {
+                total[i][j] = cost;
+                continue;
+            }
+            const best = Math.min(
+                i > 0 ? total[i - 1][j] : Infinity,
+                j > 0 ? total[i][j - 1] : Infinity,
+                i > 0 && j > 0 ? total[i - 1][j - 1] : Infinity
+            );
+            total[i][j] = cost + best;
+        }
+    }
+
+    // Walk back from the end along the cheapest predecessors
+    const path = [];
+    let i = n - 1;
+    let j = m - 1;
+    while (i > 0 || j > 0) {
+        path.push([i, j, stepCost(i, j)]);
+        const diagonal = i > 0 && j > 0 ? total[i - 1][j - 1] : Infinity;
+        const up = i > 0 ? total[i - 1][j] : Infinity;
+        const left = j > 0 ? total[i][j - 1] : Infinity;
+        if (diagonal <= up && diagonal <= left) {
+            i--;
+            j--;
+        } else if (up <= left) {
+            i--;
+        } else {
+            j--;
+        }
+    }
+    path.push([0, 0, stepCost(0, 0)]);
+    path.reverse();
+
+    return { distance: total[n - 1][m - 1], path };
+}
+
+/**
+ * Align a roll to the reference template and score the similarity
+ */
+function matchReferenceTemplate(data, template = AppState.referenceTemplate) {
+    if (!template || !data || data.length < 10) return null;
+
+    const roll = prepareTemplateTrace(data);
+    const reference = prepareTemplateTrace(template.trace);
+    const { distance, path } = dtwAlign(roll.map(p => p.features), reference.map(p => p.features));
+
+    const averageCost = distance / path.length;
+
+    // Contiguous runs of the roll where the aligned step cost stays low
+    const stepCosts = new Array(roll.length).fill(Infinity);
+    path.forEach(([i, , cost]) => {
+        stepCosts[i] = Math.min(stepCosts[i], cost);
+    });
+
+    const sections = [];
+    let sectionStart = null;
+    stepCosts.forEach((cost, i) => {
+        if (cost < TEMPLATE_MATCH_COST && sectionStart === null) sectionStart = i;
+        if ((cost >= TEMPLATE_MATCH_COST || i === roll.length - 1) && sectionStart !== null) {
+            const end = cost < TEMPLATE_MATCH_COST ? i : i - 1;
+            if (end > sectionStart) {
+                sections.push({ start: roll[sectionStart].time, end: roll[end].time });
+            }
+            sectionStart = null;
+        }
+    });
+
+    const alignedShare = stepCosts.filter(cost => cost < TEMPLATE_MATCH_COST).length / roll.length * 100;
+
+    return {
+        similarity: Math.round(100 * Math.exp(-averageCost / TEMPLATE_COST_SCALE)),
+        averageCost,
+        alignedShare,
+        // Positive: this roll took longer than the reference
+        timeDifference: (roll[roll.length - 1].time - reference[reference.length - 1].time) / 1000,
+        sections,
+        path,
+        roll,
+        reference
+    };
+}
+
+/**
+ * Shade aligned sections and draw alignment connectors on the comparison chart
+ */
+const templateAlignmentPlugin = {
+    id: 'templateAlignment',
+    beforeDatasetsDraw(chart) {
+        const match = AppState.templateMatch;
+        if (!match || chart !== AppState.charts.template) return;
+
+        const { ctx, chartArea, scales } = chart;
+        ctx.save();
+
+        ctx.fillStyle = 'rgba(76, 175, 80, 0.15)';
+        match.sections.forEach(section => {
+            const left = scales.x.getPixelForValue(section.start / 1000);
+            const right = scales.x.getPixelForValue(section.end / 1000);
+            ctx.fillRect(left, chartArea.top, right - left, chartArea.bottom - chartArea.top);
+        });
+
+        ctx.strokeStyle = 'rgba(0, 0, 0, 0.15)';
+        ctx.lineWidth = 1;
+        match.path.forEach(([i, j], step) => {
+            if (step % TEMPLATE_CONNECTOR_STEP !== 0) return;
+            const rollPoint = match.roll[i];
+            const referencePoint = match.reference[j];
+            ctx.beginPath();
+            ctx.moveTo(scales.x.getPixelForValue(rollPoint.time / 1000), scales.y.getPixelForValue(rollPoint.magnitude));
+            ctx.lineTo(scales.x.getPixelForValue(referencePoint.time / 1000), scales.y.getPixelForValue(referencePoint.magnitude));
+            ctx.stroke();
+        });
+
+        ctx.restore();
+    }
+};
+
+if (typeof Chart !== 'undefined') {
+    Chart.register(templateAlignmentPlugin);
+}
+
+/**
+ * Show the similarity score and the overlaid traces
+ */
+function renderTemplateComparison(match) {
+    AppState.templateMatch = match;
+
+    const section = document.getElementById('templateSection');
+    if (!section) return;
+
+    if (!match) {
+        section.classList.add('hidden');
+        if (AppState.charts.template) {
+            AppState.charts.template.destroy();
+            AppState.charts.template = null;
+        }
+        return;
+    }
+
+    section.classList.remove('hidden');
+
+    const template = AppState.referenceTemplate;
+    const similarity = document.getElementById('templateSimilarity');
+    if (similarity) {
+        similarity.textContent = match.similarity;
+        similarity.style.color = getScoreColor(match.similarity);
+    }
+
+    const details = document.getElementById('templateDetails');
+    if (details) {
+        const timing = Math.abs(match.timeDifference) < 0.05 ? 'same length' :
+            `${Math.abs(match.timeDifference).toFixed(2)}s ${match.timeDifference > 0 ? 'slower' : 'faster'}`;
+        details.innerHTML = `
+            <span>Reference: ${escapeHtml(template.profileName)} from ${new Date(template.recordedAt).toLocaleDateString()}</span>
+            <span>${Math.round(match.alignedShare)}% aligned</span>
+            <span>${timing}</span>
+        `;
+    }
+
+    const canvas = document.getElementById('templateChart');
+    if (!canvas) return;
+
+    if (AppState.charts.template) {
+        AppState.charts.template.destroy();
+    }
+
+    const toPoints = trace => trace.map(p => ({ x: p.time / 1000, y: p.magnitude }));
+
+    AppState.charts.template = new Chart(canvas.getContext('2d'), {
+        type: 'line',
+        data: {
+            datasets: [{
+                label: 'This roll',
+                data: toPoints(match.roll),
+                borderColor: 'rgba(102, 126, 234, 1)',
+                backgroundColor: 'transparent',
+                borderWidth: 2,
+                pointRadius: 0,
+                tension: 0.3
+            }, {
+                label: 'Reference',
+                data: toPoints(match.reference),
+                borderColor: 'rgba(255, 152, 0, 1)',
+                backgroundColor: 'transparent',
+                borderWidth: 2,
+                borderDash: [6, 4],
+                pointRadius: 0,
+                tension: 0.3
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            scales: {
+                x: { type: 'linear', title: { display: true, text: 'Time (s)' } },
+                y: { title: { display: true, text: 'Acceleration (G)' }, suggestedMin: 0, suggestedMax: 2.5 }
+            },
+            plugins: {
+                legend: { display: true }
+            },
+            animation: { duration: 0 }
+        }
+    });
+}
@@ -193,6 +193,33 @@ function calculateStats(array) {
     return { min, max, avg, std };
 }
 
+/**
+ * Least-squares line through [{ x, y }] points: { slope, intercept, r2 }
+ */
+function linearRegression(points) {
+    const n = points.length;
+    if (n < 2) return { slope: 0, intercept: n ? points[0].y : 0, r2: 0 };
+
+    const meanX = points.reduce((sum, p) => sum + p.x, 0) / n;
+    const meanY = points.reduce((sum, p) => sum + p.y, 0) / n;
+
+    let sxx = 0;
+    let sxy = 0;
+    let syy = 0;
+    points.forEach(p => {
+        sxx += (p.x - meanX) ** 2;
+        sxy += (p.x - meanX) * (p.y - meanY);
+        syy += (p.y - meanY) ** 2;
+    });
+
+    const slope = sxx > 0 ? sxy / sxx : 0;
+    return {
+        slope,
+        intercept: meanY - slope * meanX,
+        r2: sxx > 0 && syy > 0 ? (sxy * sxy) / (sxx * syy) : 0
+    };
+}
+
 /**
  * Convert degrees to radians
  */
@@ -275,6 +302,18 @@ function movingAverage(data, windowSize = 5) {
     return result;
 }
 
+/**
+ * Average of each value and the ones before it (no look-ahead)
+ */
+function trailingAverage(data, windowSize = 5) {
+    if (!data || data.length === 0) return [];
+
+    return data.map((_, i) => {
+        const window = data.slice(Math.max(0, i - windowSize + 1), i + 1);
+        return window.reduce((sum, val) => sum + val, 0) / window.length;
+    });
+}
+
 /**
  * Apply low-pass filter to reduce noise
  */
@@ -288,6 +327,191 @@ function lowPassFilter(data, alpha = 0.1) {
     return filtered;
 }
 
+/**
+ * Design a Butterworth filter as cascaded second-order sections.
+ * type: 'lowpass' | 'highpass' | 'bandpass' (cutoff is [low, high] for bandpass).
+ * order must be even; cutoffs in Hz.
+ */
+function designButterworth(type, cutoff, sampleRate, order = 2) {
+    if (type === 'bandpass') {
+        if (!(cutoff[0] < cutoff[1])) {
+            throw new Error('Band-pass low cutoff must be below the high cutoff');
+        }
+        return [
+            ...designButterworth('highpass', cutoff[0], sampleRate, order),
+            ...designButterworth('lowpass', cutoff[1], sampleRate, order)
+        ];
+    }
+
+    const nyquist = sampleRate / 2;
+    if (!(cutoff > 0 && cutoff < nyquist)) {
+        throw new Error(`Cutoff ${cutoff}Hz must be between 0 and ${nyquist}Hz`);
+    }
+
+    const sections = [];
+    const omega = 2 * Math.PI * cutoff / sampleRate;
+    const cosW = Math.cos(omega);
+    const sinW = Math.sin(omega);
+
+    // One biquad per conjugate pole pair, Q from the Butterworth pole angles
+    for (let k = 1; k <= order / 2; k++) {
+        const theta = Math.PI * (2 * k + order - 1) / (2 * order);
+        const q = -1 / (2 * Math.cos(theta));
+        const alpha = sinW / (2 * q);
+        const a0 = 1 + alpha;
+
+        const b = type === 'highpass' ?
+            [(1 + cosW) / 2, -(1 + cosW), (1 + cosW) / 2] :
+            [(1 - cosW) / 2, 1 - cosW, (1 - cosW) / 2];
+
+        sections.push({
+            b: b.map(value => value / a0),
+            a: [1, (-2 * cosW) / a0, (1 - alpha) / a0]
+        });
+    }
+
+    return sections;
+}
+
+/**
+ * Run data through second-order sections (causal, starts in steady state)
+ */
+function applyFilter(data, sections) {
+    if (!data || data.length === 0) return [];
+
+    let output = data.slice();
+    sections.forEach(({ b, a }) => {
+        // Initial state as if the first value had been held forever
+        const x0 = output[0];
+        const dcGain = (b[0] + b[1] + b[2]) / (a[0] + a[1] + a[2]);
+        const y0 = x0 * dcGain;
+        let z2 = b[2] * x0 - a[2] * y0;
+        let z1 = b[1] * x0 - a[1] * y0 + z2;
+
+        output = output.map(x => {
+            const y = b[0] * x + z1;
+            z1 = b[1] * x - a[1] * y + z2;
+            z2 = b[2] * x - a[2] * y;
+            return y;
+        });
+    });
+
+    return output;
+}
+
+/**
+ * Zero-phase filtering: run forwards then backwards so peaks don't shift
+ */
+function filtfilt(data, sections) {
+    if (!data || data.length === 0) return [];
+
+    // Odd reflection at both ends keeps the edges from ringing
+    const padLength = Math.min(data.length - 1, 3 * 2 * sections.length);
+    const first = data[0];
+    const last = data[data.length - 1];
+    const head = [];
+    const tail = [];
+    for (let i = padLength; i >= 1; i--) head.push(2 * first - data[i]);
+    for (let i = 1; i <= padLength; i++) tail.push(2 * last - data[data.length - 1 - i]);
+
+    const padded = [...head, ...data, ...tail];
+    const forward = applyFilter(padded, sections);
+    const backward = applyFilter(forward.reverse(), sections).reverse();
+
+    return backward.slice(padLength, padLength + data.length);
+}
+
+/**
+ * Median filter to remove isolated spikes
+ */
+function medianFilter(data, windowSize = 5) {
+    if (!data || data.length === 0) return [];
+
+    const half = Math.floor(windowSize / 2);
+    return data.map((_, i) => {
+        const window = data
+            .slice(Math.max(0, i - half), Math.min(data.length, i + half + 1))
+            .sort((a, b) => a - b);
+        return window[Math.floor(window.length / 2)];
+    });
+}
+
+/**
+ * Run a signal through a preprocessing chain, e.g.
+ * [{ type: 'median', window: 3 }, { type: 'lowpass', cutoff: 12, order: 4, zeroPhase: true }]
+ * Steps whose cutoff doesn't fit the sample rate are skipped and described in `notes`.
+ */
+function applyFilterChain(data, chain, sampleRate, notes = []) {
+    if (!data || data.length === 0) return [];
+
+    return (chain || []).reduce((signal, step) => {
+        if (step.type === 'median') {
+            return medianFilter(signal, step.window);
+        }
+        if (step.type === 'moving') {
+            return movingAverage(signal, step.window);
+        }
+
+        const cutoff = step.type === 'bandpass' ? [step.low, step.high] : step.cutoff;
+        let sections;
+        try {
+            sections = designButterworth(step.type, cutoff, sampleRate, step.order || 2);
+        } catch (error) {
+            notes.push(`${step.type} step skipped: ${error.message}`);
+            return signal;
+        }
+        return step.zeroPhase === false ? applyFilter(signal, sections) : filtfilt(signal, sections);
+    }, data);
+}
+
+/**
+ * Estimate the sample rate (Hz) of time-stamped samples from the median interval
+ */
+function estimateSampleRate(samples) {
+    if (!samples || samples.length < 2) return 0;
+
+    const intervals = [];
+    for (let i = 1; i < samples.length; i++) {
+        const dt = samples[i].time - samples[i - 1].time;
+        if (dt > 0) intervals.push(dt);
+    }
+    if (intervals.length === 0) return 0;
+
+    intervals.sort((a, b) => a - b);
+    return 1000 / intervals[Math.floor(intervals.length / 2)];
+}
+
+/**
+ * Linearly interpolate time-stamped samples onto a new timeline.
+ * Samples must be sorted by `time`; by default every numeric field is interpolated.
+ */
+function resampleToTimeline(samples, timeline, fields) {
+    if (!samples || samples.length === 0) return [];
+
+    const keys = fields || Object.keys(samples[0]).filter(key =>
+        key !== 'time' && typeof samples[0][key] === 'number');
+
+    const result = [];
+    let j = 0;
+
+    timeline.forEach(time => {
+        while (j < samples.length - 2 && samples[j + 1].time < time) j++;
+
+        const a = samples[j];
+        const b = samples[Math.min(j + 1, samples.length - 1)];
+        const span = b.time - a.time;
+        const factor = span > 0 ? clamp((time - a.time) / span, 0, 1) : 0;
+
+        const point = { time };
+        keys.forEach(key => {
+            point[key] = lerp(a[key], b[key], factor);
+        });
+        result.push(point);
+    });
+
+    return result;
+}
+
 /**
  * Detect peaks in data array
  */
@@ -319,6 +543,47 @@ function detectPeaks(data, threshold = 0.1, minDistance = 10) {
     return peaks;
 }
 
+/**
+ * High-resolution wall-clock timestamp in milliseconds
+ */
+function getTimestamp() {
+    if (typeof performance !== 'undefined' && performance.timeOrigin) {
+        return performance.timeOrigin + performance.now();
+    }
+    return Date.now();
+}
+
+/**
+ * Wall-clock time at which a DOM event was created (falls back to now)
+ */
+function getEventTimestamp(event) {
+    if (!event || !(event.timeStamp > 0)) return getTimestamp();
+
+    // Some older engines report epoch milliseconds instead of time since page load
+    if (event.timeStamp > 1e12) return event.timeStamp;
+
+    if (typeof performance !== 'undefined' && performance.timeOrigin) {
+        return performance.timeOrigin + event.timeStamp;
+    }
+    return getTimestamp();
+}
+
+/**
+ * Read a devicemotion rotation rate as X/Y/Z axes in deg/s (null if absent).
+ * The spec names them by the Euler angle they change: beta turns about X,
+ * gamma about Y and alpha about Z.
+ */
+function getRotationRate(event) {
+    const rate = event && event.rotationRate;
+    if (!rate) return null;
+
+    return {
+        x: rate.beta || 0,
+        y: rate.gamma || 0,
+        z: rate.alpha || 0
+    };
+}
+
 /**
  * Generate unique ID
  */
@@ -0,0 +1,269 @@
+// Multi-Device Relay Server - server/relay.js
+//
+// Minimal WebSocket relay for synchronized multi-device recording.
+// Run it on a laptop on the same network as the phones:
+//
+//     node server/relay.js [port]
+//
+// The relay has no dependencies. It keeps devices grouped by room code
+// and forwards every message to the other members of the sender's room,
+// or only to `message.to` when a recipient is named.
+
+const http = require('http');
+const crypto = require('crypto');
+const os = require('os');
+
+const PORT = parseInt(process.argv[2] || process.env.PORT || '8787', 10);
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+// Largest message accepted; a 'data' message carries a whole recording (~300 bytes per sample)
+const MAX_MESSAGE_SIZE = 8 * 1024 * 1024;
+
+// room code -> Map(deviceId -> client)
+const rooms = new Map();
+
+/**
+ * Encode a frame from text or a Buffer (server frames are never masked)
+ */
+function encodeFrame(text, opcode = 0x1) {
+    const payload = Buffer.from(text);
+    let header;
+
+    if (payload.length < 126) {
+        header = Buffer.alloc(2);
+        header[1] = payload.length;
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+
+    header[0] = 0x80 | opcode;
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * Close a connection with a status code (RFC 6455 section 7.4.1)
+ */
+function closeClient(client, code, reason) {
+    if (client.closing) return;
+    client.closing = true;
+    client.buffer = Buffer.alloc(0);
+    client.fragments = [];
+
+    const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+    payload.writeUInt16BE(code, 0);
+    payload.write(reason, 2);
+
+    console.warn(`Closing ${client.deviceId || 'connection'}: ${reason}`);
+    client.socket.end(encodeFrame(payload, 0x8));
+}
+
+/**
+ * Decode as many complete frames as the buffer holds.
+ * Unmasked, oversized or malformed control frames close the connection
+ * instead of being buffered.
+ */
+function decodeFrames(client) {
+    const frames = [];
+
+    while (client.buffer.length >= 2) {
+        const buffer = client.buffer;
+        const fin = (buffer[0] & 0x80) !== 0;
+        const opcode = buffer[0] & 0x0f;
+        const masked = (buffer[1] & 0x80) !== 0;
+        let length = buffer[1] & 0x7f;
+        let offset = 2;
+
+        if (length === 126) {
+            if (buffer.length < 4) break;
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buffer.length < 10) break;
+            length = Number(buffer.readBigUInt64BE(2));
+            offset = 10;
+        }
+
+        // Clients must mask every frame (RFC 6455 section 5.1)
+        if (!masked) {
+            closeClient(client, 1002, 'Client frames must be masked');
+            return [];
+        }
+        if (length > MAX_MESSAGE_SIZE) {
+            closeClient(client, 1009, 'Message too big');
+            return [];
+        }
+        // Control frames are short and never fragmented (section 5.5)
+        if ((opcode & 0x8) && (length > 125 || !fin)) {
+            closeClient(client, 1002, 'Invalid control frame');
+            return [];
+        }
+
+        const maskOffset = offset;
+        offset += 4;
+        if (buffer.length < offset + length) break;
+
+        const payload = Buffer.from(buffer.subarray(offset, offset + length));
+        for (let i = 0; i < payload.length; i++) {
+            payload[i] ^= buffer[maskOffset + (i % 4)];
+        }
+
+        client.buffer = buffer.subarray(offset + length);
+        frames.push({ fin, opcode, payload });
+    }
+
+    return frames;
+}
+
+/**
+ * Send a JSON message to one client
+ */
+function sendTo(client, message) {
+    if (!client.socket.destroyed) {
+        client.socket.write(encodeFrame(JSON.stringify(message)));
+    }
+}
+
+/**
+ * Forward a message within the sender's room
+ */
+function relay(client, message) {
+    const room = rooms.get(client.room);
+    if (!room) return;
+
+    room.forEach((member, deviceId) => {
+        if (member === client) return;
+        if (message.to && message.to !== deviceId) return;
+        sendTo(member, message);
+    });
+}
+
+/**
+ * Handle a parsed message from a client
+ */
+function handleMessage(client, message) {
+    if (message.type === 'join') {
+        leaveRoom(client, false);
+
+        client.room = String(message.room || '').toUpperCase();
+        client.deviceId = String(message.from || '');
+
+        if (!rooms.has(client.room)) rooms.set(client.room, new Map());
+        rooms.get(client.room).set(client.deviceId, client);
+
+        console.log(`[${client.room}] ${client.deviceId} joined (${message.segment || 'unknown'})`);
+    }
+
+    if (!client.room) return;
+    relay(client, message);
+}
+
+/**
+ * Remove a client from its room, optionally telling the others
+ */
+function leaveRoom(client, notify = true) {
+    const room = rooms.get(client.room);
+    if (!room || room.get(client.deviceId) !== client) return;
+
+    room.delete(client.deviceId);
+    if (notify) {
+        relay(client, { type: 'leave', room: client.room, from: client.deviceId });
+    }
+    if (room.size === 0) rooms.delete(client.room);
+
+    console.log(`[${client.room}] ${client.deviceId} left`);
+    client.room = null;
+}
+
+/**
+ * Process incoming socket data
+ */
+function handleData(client, chunk) {
+    if (client.closing) return;
+    client.buffer = Buffer.concat([client.buffer, chunk]);
+
+    decodeFrames(client).forEach(frame => {
+        if (client.closing) return;
+
+        switch (frame.opcode) {
+            case 0x0: // continuation
+            case 0x1: // text
+                client.fragments.push(frame.payload);
+                client.fragmentSize += frame.payload.length;
+                if (client.fragmentSize > MAX_MESSAGE_SIZE) {
+                    closeClient(client, 1009, 'Message too big');
+                    break;
+                }
+                if (frame.fin) {
+                    const text = Buffer.concat(client.fragments).toString('utf8');
+                    client.fragments = [];
+                    client.fragmentSize = 0;
+                    try {
+                        handleMessage(client, JSON.parse(text));
+                    } catch (error) {
+                        console.warn('Ignoring malformed message:', error.message);
+                    }
+                }
+                break;
+            case 0x8: // close
+                client.socket.end(encodeFrame('', 0x8));
+                break;
+            case 0x9: // ping
+                client.socket.write(encodeFrame(frame.payload, 0xA));
+                break;
+            default:
+                break;
+        }
+    });
+}
+
+const server = http.createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    res.end(`Roll sync relay: ${rooms.size} active room(s)\n`);
+});
+
+server.on('upgrade', (req, socket) => {
+    const key = req.headers['sec-websocket-key'];
+    if (!key || (req.headers.upgrade || '').toLowerCase() !== 'websocket') {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '', ''
+    ].join('\r\n'));
+
+    const client = {
+        socket,
+        buffer: Buffer.alloc(0),
+        fragments: [],
+        fragmentSize: 0,
+        closing: false,
+        room: null,
+        deviceId: null
+    };
+
+    socket.setNoDelay(true);
+    socket.on('data', chunk => handleData(client, chunk));
+    socket.on('close', () => leaveRoom(client));
+    socket.on('error', () => socket.destroy());
+});
+
+server.listen(PORT, () => {
+    const addresses = Object.values(os.networkInterfaces())
+        .flat()
+        .filter(iface => iface && iface.family === 'IPv4' && !iface.internal)
+        .map(iface => `ws://${iface.address}:${PORT}`);
+
+    console.log(`Roll sync relay listening on port ${PORT}`);
+    addresses.forEach(address => console.log(`  ${address}`));
+});